@@ -0,0 +1,32 @@
+// adminRoutes.js
+// Operator endpoints for inspecting and reloading runtime configuration.
+import express from "express";
+import { getIntentRulesStatus, reloadIntentRules } from "./intentAnalyzer.js";
+import { cacheStats, clearConnectorCache } from "./connectorCache.js";
+import { requireAuth, ADMIN_SCOPE } from "./apiKeys.js";
+
+export function createAdminRouter() {
+  const router = express.Router();
+  router.use("/admin", requireAuth({ scope: ADMIN_SCOPE }));
+
+  // Active intent rules, where they came from and the last reload error (if any)
+  router.get("/admin/intent-rules", (req, res) => {
+    res.json(getIntentRulesStatus());
+  });
+
+  router.post("/admin/intent-rules/reload", (req, res) => {
+    const result = reloadIntentRules();
+    res.status(result.ok ? 200 : 422).json({ ...result, rules: getIntentRulesStatus() });
+  });
+
+  router.get("/admin/cache", (req, res) => {
+    res.json(cacheStats());
+  });
+
+  // Clear cached connector results, optionally for one connector (?connector=github_repo)
+  router.delete("/admin/cache", (req, res) => {
+    res.json({ removed: clearConnectorCache(req.query.connector || null), ...cacheStats() });
+  });
+
+  return router;
+}
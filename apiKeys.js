@@ -0,0 +1,243 @@
+// apiKeys.js
+// API-key / bearer-token authentication: maps callers to users, connector scopes and usage limits.
+//
+// Keys live hashed in API_KEYS_PATH (create them with `npm run keys:create`):
+// {
+//   "keys": [
+//     {
+//       "id": "alice-laptop",
+//       "hash": "sha256:<hex>",
+//       "user_id": "alice",
+//       "scopes": ["github_repo", "google_calendar"],   // connector names, "*" for all, "admin" / "metrics" for operator routes
+//       "rate_limit_per_minute": 30,                     // optional; falls back to RATE_LIMIT_PER_MINUTE
+//       "daily_requests": 1000,                          // optional quotas; unlimited when unset
+//       "daily_llm_tokens": 200000,
+//       "disabled": false
+//     }
+//   ]
+// }
+//
+// Authentication is always enforced unless AUTH_REQUIRED=false, which trusts every caller (`req.auth`
+// is null) and is only meant for local development.
+import fs from "fs";
+import crypto from "crypto";
+import { DEFAULT_USER } from "./tokenStore.js";
+import { consumeRequest, describeUsage } from "./usageLimits.js";
+import { createLogger, getRequestContext } from "./logger.js";
+
+const log = createLogger("apiKeys");
+
+const KEYS_PATH = process.env.API_KEYS_PATH || "./data/apiKeys.json";
+const KEY_FIELDS = ["id", "hash", "user_id", "scopes", "rate_limit_per_minute", "daily_requests", "daily_llm_tokens", "disabled"];
+const LIMIT_FIELDS = ["rate_limit_per_minute", "daily_requests", "daily_llm_tokens"];
+export const ADMIN_SCOPE = "admin";
+export const METRICS_SCOPE = "metrics";
+// Operator scopes are never implied by "*"; admin keys also get the metrics scope
+const OPERATOR_SCOPES = [ADMIN_SCOPE, METRICS_SCOPE];
+
+let keysByHash = new Map();
+let loadedMtime = null;
+let authRequired = true;
+
+export function hashApiKey(key) {
+  return `sha256:${crypto.createHash("sha256").update(key).digest("hex")}`;
+}
+
+export function generateApiKey() {
+  return `mcp_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+function validateKeys(raw, file) {
+  const errors = [];
+  const entries = raw && Array.isArray(raw.keys) ? raw.keys : null;
+  if (!entries) errors.push("top level must be { \"keys\": [...] }");
+
+  const ids = new Set();
+  for (const [i, entry] of (entries || []).entries()) {
+    const where = `keys[${i}]`;
+    for (const field of Object.keys(entry)) {
+      if (!KEY_FIELDS.includes(field)) errors.push(`${where}.${field} is not a known field`);
+    }
+    if (typeof entry.id !== "string" || !entry.id) errors.push(`${where}.id is required`);
+    else if (ids.has(entry.id)) errors.push(`${where}.id "${entry.id}" is used twice`);
+    ids.add(entry.id);
+    if (!/^sha256:[0-9a-f]{64}$/.test(entry.hash || "")) errors.push(`${where}.hash must be "sha256:<64 hex chars>"`);
+    if (typeof entry.user_id !== "string" || !entry.user_id) errors.push(`${where}.user_id is required`);
+    if (!Array.isArray(entry.scopes) || entry.scopes.some((s) => typeof s !== "string")) {
+      errors.push(`${where}.scopes must be an array of connector names, "*", "${ADMIN_SCOPE}" or "${METRICS_SCOPE}"`);
+    }
+    for (const field of LIMIT_FIELDS) {
+      if (entry[field] !== undefined && !(Number.isInteger(entry[field]) && entry[field] > 0)) {
+        errors.push(`${where}.${field} must be a positive integer`);
+      }
+    }
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid API keys in ${file}:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+  }
+  return entries;
+}
+
+export function readApiKeyFile(file = KEYS_PATH) {
+  if (!fs.existsSync(file)) return [];
+  return validateKeys(JSON.parse(fs.readFileSync(file, "utf8")), file);
+}
+
+/**
+ * Load the key file and read AUTH_REQUIRED. Throws when the file is invalid.
+ */
+export function loadApiKeys(file = KEYS_PATH) {
+  const exists = fs.existsSync(file);
+  const entries = readApiKeyFile(file);
+  keysByHash = new Map(entries.map((entry) => [entry.hash, entry]));
+  loadedMtime = exists ? fs.statSync(file).mtimeMs : null;
+  authRequired = process.env.AUTH_REQUIRED !== "false";
+
+  if (!authRequired) {
+    log.warn("AUTH_REQUIRED=false: API key auth is OFF and every caller can read any user's data. Do not expose this server.", { file });
+  } else if (!keysByHash.size) {
+    log.warn("API key auth is on but there are no keys yet, so every request is refused. Create one with `npm run keys:create`.", { file });
+  } else {
+    log.info("API key auth enabled", { keys: keysByHash.size, file });
+  }
+  return keysByHash.size;
+}
+
+// Pick up keys added by `npm run keys:create` without a restart; a broken edit keeps the previous keys
+function refreshIfChanged(file = KEYS_PATH) {
+  const mtime = fs.existsSync(file) ? fs.statSync(file).mtimeMs : null;
+  if (mtime === loadedMtime) return;
+  try {
+    keysByHash = new Map(readApiKeyFile(file).map((entry) => [entry.hash, entry]));
+    log.info("Reloaded API keys", { keys: keysByHash.size, file });
+  } catch (err) {
+    log.error("Keeping previous API keys", { file, err });
+  }
+  loadedMtime = mtime;
+}
+
+function presentedKey(req) {
+  const header = req.get("Authorization") || "";
+  const bearer = /^Bearer\s+(\S+)$/i.exec(header);
+  return bearer ? bearer[1] : req.get("X-API-Key") || null;
+}
+
+/**
+ * Identify the caller. Resolves { auth } (null when auth is disabled) or { status: 401, error }.
+ */
+export function authenticate(req) {
+  if (!authRequired) return { auth: null };
+  refreshIfChanged();
+
+  const key = presentedKey(req);
+  if (!key) return { status: 401, error: "Missing API key: send Authorization: Bearer <key> or X-API-Key" };
+  const entry = keysByHash.get(hashApiKey(key));
+  if (!entry || entry.disabled) return { status: 401, error: "Invalid or disabled API key" };
+  return { auth: toAuth(entry) };
+}
+
+/**
+ * Auth for work done later on a key's behalf (scheduled digests): { auth } while the key is still
+ * present and enabled, { error } otherwise. { auth: null } when auth is disabled.
+ */
+export function authForKey(keyId) {
+  if (!authRequired) return { auth: null };
+  refreshIfChanged();
+  const entry = [...keysByHash.values()].find((e) => e.id === keyId);
+  if (!entry || entry.disabled) return { error: `API key "${keyId}" no longer exists or is disabled` };
+  return { auth: toAuth(entry) };
+}
+
+function toAuth(entry) {
+  return {
+    keyId: entry.id,
+    userId: entry.user_id,
+    scopes: entry.scopes,
+    limits: {
+      ratePerMinute: entry.rate_limit_per_minute,
+      dailyRequests: entry.daily_requests,
+      dailyLlmTokens: entry.daily_llm_tokens,
+    },
+  };
+}
+
+export function hasScope(auth, scope) {
+  if (!auth) return true;
+  if (auth.scopes.includes(scope)) return true;
+  if (scope === METRICS_SCOPE) return auth.scopes.includes(ADMIN_SCOPE);
+  return !OPERATOR_SCOPES.includes(scope) && auth.scopes.includes("*");
+}
+
+/**
+ * Split connectors into those the caller may invoke and those its key does not cover.
+ */
+export function filterConnectorsByScope(auth, connectors) {
+  return {
+    allowed: connectors.filter((name) => hasScope(auth, name)),
+    denied: connectors.filter((name) => !hasScope(auth, name)),
+  };
+}
+
+/**
+ * User a request acts for: the key's user, or any user for admin keys. Returns null when a
+ * non-admin key asks for someone else's data.
+ */
+export function resolveUserId(auth, requested) {
+  if (!auth) return requested || DEFAULT_USER;
+  if (!requested || requested === auth.userId) return auth.userId;
+  return hasScope(auth, ADMIN_SCOPE) ? requested : null;
+}
+
+/**
+ * Like resolveUserId, but answers 403 itself and returns null when the caller may not act for `requested`.
+ */
+export function requestUser(req, res, requested) {
+  const userId = resolveUserId(req.auth, requested);
+  if (!userId) res.status(403).json({ error: `This API key cannot act for user "${requested}"` });
+  return userId;
+}
+
+/**
+ * Express middleware: authenticate, check `scope` if given and count the request against the key's
+ * rate limit and daily quota. Sets req.auth for the route.
+ */
+export function requireAuth({ scope = null } = {}) {
+  return (req, res, next) => {
+    const { auth, status, error } = authenticate(req);
+    if (error) {
+      res.set("WWW-Authenticate", 'Bearer realm="mcp"');
+      return res.status(status).json({ error });
+    }
+    if (scope && !hasScope(auth, scope)) {
+      return res.status(403).json({ error: `This API key lacks the "${scope}" scope` });
+    }
+
+    if (auth) {
+      const limit = consumeRequest(auth);
+      res.set("X-RateLimit-Limit", String(limit.limit));
+      res.set("X-RateLimit-Remaining", String(limit.remaining));
+      if (!limit.ok) {
+        res.set("Retry-After", String(limit.retryAfterSeconds));
+        return res.status(429).json({ error: limit.error, retry_after_seconds: limit.retryAfterSeconds });
+      }
+    }
+
+    req.auth = auth;
+    // LLM calls made for this request are charged to the key (llmClient.js trackLlmCall)
+    const context = getRequestContext();
+    if (context) context.auth = auth;
+    next();
+  };
+}
+
+export function describeAuth(auth) {
+  if (!auth) return { auth_required: false };
+  return {
+    auth_required: true,
+    key_id: auth.keyId,
+    user_id: auth.userId,
+    scopes: auth.scopes,
+    usage: describeUsage(auth),
+  };
+}
@@ -0,0 +1,331 @@
+// app.js
+// Express app factory for the MCP server. server.js listens on it; tests can mount it in-process.
+//
+// Modes (SERVER_MODE, or `mode` per request):
+//   package — route the query, fetch connectors and return the raw context as `mcp_package`
+//   answer  — additionally build the contextual prompt and return (or stream) the LLM's answer
+import express from "express";
+import bodyParser from "body-parser";
+import path from "path";
+import { prepareContextualPrompt } from "./context_manager.js";
+import { loadPromptTemplates, listPromptTemplates, hasPromptTemplate } from "./promptTemplates.js";
+import { ingestPath, ingestDocuments, indexStats } from "./documentIndex.js";
+import { callLLMApi, streamLLMApi } from "./llmClient.js";
+import { loadConnectors, fetchConnector, listConnectors, checkConnectorHealth } from "./connectorRegistry.js";
+import { loadIntentRules, watchIntentRules, analyzeIntent, describeRouting, getIntentRulesStatus } from "./intentAnalyzer.js";
+import { createMcpRouter } from "./mcpServer.js";
+import { createAuthRouter } from "./authRoutes.js";
+import { createAdminRouter } from "./adminRoutes.js";
+import { createSessionRouter } from "./sessionRoutes.js";
+import { openSession, appendTurn } from "./sessionStore.js";
+import { checkLlmBudget } from "./usageLimits.js";
+import { loadApiKeys, requireAuth, requestUser, filterConnectorsByScope, hasScope, ADMIN_SCOPE, METRICS_SCOPE } from "./apiKeys.js";
+import { createLogger, getRequestContext } from "./logger.js";
+import { traceRequests, withSpan } from "./tracing.js";
+import { renderMetrics } from "./metrics.js";
+import { startAuditRecord, writeAuditRecord } from "./auditLog.js";
+import { createAuditRouter } from "./auditRoutes.js";
+import { createDigestRouter } from "./digestRoutes.js";
+import { startDigestScheduler } from "./digestScheduler.js";
+
+const log = createLogger("app");
+
+export const MODES = ["package", "answer"];
+
+// --------------------------------------------------
+// 1️⃣  Routing and connector fetches shared by both modes
+// --------------------------------------------------
+async function gatherContext(req, res, { userId, session, query, noCache, audit }) {
+  // What routing saw of the conversation, so a replay can reproduce follow-ups
+  if (session.turns.length) {
+    const { connectors, timeRange, entities } = session.context;
+    audit.session_context = { previous_query: session.turns[session.turns.length - 1].query, connectors, timeRange, entities };
+  }
+  const intent = await withSpan("intent", () => analyzeIntent(query, { session }));
+
+  const { allowed, denied } = filterConnectorsByScope(req.auth, intent.connectors);
+  audit.intent = { connectors: allowed, denied, time_range: intent.timeRange, routing: describeRouting(intent) };
+  if (!allowed.length && denied.length) {
+    res.status(403).json({ error: `This API key may not use ${denied.join(", ")}`, denied_connectors: denied });
+    return null;
+  }
+  log.info("Connectors selected", { connectors: allowed, denied, timeRange: intent.timeRange });
+
+  const results = await Promise.all(
+    allowed.map((conn) => fetchConnector(conn, userId, query, intent.timeRange, { entities: intent.entities, noCache }))
+  );
+  audit.sources = results;
+
+  const recordTurn = (answer) =>
+    appendTurn(session.id, {
+      query,
+      connectors: allowed,
+      timeRange: intent.timeRange,
+      entities: Object.assign({}, intent.entities, ...results.map((r) => r.entities)),
+      answer,
+    });
+
+  return { intent, allowed, denied, results, recordTurn };
+}
+
+// --------------------------------------------------
+// 2️⃣  Package mode: the routed context itself
+// --------------------------------------------------
+function sendPackage(res, { userId, session, query, context }) {
+  const { intent, allowed, denied, results, recordTurn } = context;
+  const context_summary = results.map((r) => r.summary).join(" ; ");
+  recordTurn(context_summary);
+
+  res.json({
+    mcp_package: {
+      user_id: userId,
+      session_id: session.id,
+      query,
+      connectors: allowed,
+      denied_connectors: denied,
+      time_range: intent.timeRange,
+      routing: describeRouting(intent),
+      partial: results.some((r) => r.status !== "ok"),
+      sources: results,
+      context_summary,
+    },
+  });
+}
+
+// --------------------------------------------------
+// 3️⃣  Answer mode: contextual prompt and LLM answer, as JSON or server-sent events
+// --------------------------------------------------
+async function sendAnswer(req, res, { userId, session, query, persona, wantsStream, signal, context, audit }) {
+  const { intent, allowed, denied, results, recordTurn } = context;
+
+  const { finalPrompt, tools, sources, persona: usedPersona, contextReport } = await withSpan("context", () =>
+    prepareContextualPrompt(query, {
+      history: session.turns,
+      followUp: intent.followUp,
+      connectorResults: results,
+      routingScores: intent.scores,
+      connectors: allowed,
+      persona,
+      userId,
+    })
+  );
+
+  const mcp_metadata = {
+    user_id: userId,
+    session_id: session.id,
+    connectors_analyzed: allowed,
+    denied_connectors: denied,
+    time_range: intent.timeRange,
+    routing: describeRouting(intent),
+    tools_enabled_by_context_manager: tools ? tools.map((t) => Object.keys(t)[0]).join(", ") : "None",
+    mcp_sources: results,
+    partial: results.some((r) => r.status !== "ok"),
+    context_sources: sources,
+    context_report: contextReport,
+    persona: usedPersona,
+  };
+  const llmRequest = { finalPrompt, tools, user_id: userId, signal };
+  Object.assign(audit, { prompt: finalPrompt, persona: usedPersona });
+  const recordAnswer = (llmResult) => {
+    recordTurn(llmResult.llm_response_text);
+    Object.assign(audit, { answer: llmResult.llm_response_text, model: llmResult.model, usage: llmResult.usage });
+  };
+
+  if (!wantsStream) {
+    const llmResult = await callLLMApi(llmRequest);
+    recordAnswer(llmResult);
+    return res.json({
+      final_llm_prompt: finalPrompt,
+      final_response: llmResult.llm_response_text,
+      mcp_metadata: { ...mcp_metadata, model: llmResult.model, usage: llmResult.usage },
+    });
+  }
+
+  // Server-sent events — metadata, token deltas, then done
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  send("metadata", { final_llm_prompt: finalPrompt, mcp_metadata });
+  try {
+    const llmResult = await streamLLMApi(llmRequest, (text) => send("token", { text }));
+    recordAnswer(llmResult);
+    send("done", { final_response: llmResult.llm_response_text, model: llmResult.model, usage: llmResult.usage });
+  } catch (err) {
+    if (!signal.aborted) {
+      log.error("LLM stream failed", { err });
+      audit.error = err.message;
+      send("error", { error: err.message });
+    }
+  }
+  res.end();
+}
+
+// --------------------------------------------------
+// 4️⃣  Main MCP route
+// --------------------------------------------------
+// Audit status of a finished query: ok | rejected | denied | rate_limited | error | aborted
+function auditOutcome(res, audit) {
+  const code = res.statusCode;
+  let status = "ok";
+  if (audit.error || code >= 500) status = "error";
+  else if (!res.writableFinished) status = "aborted";
+  else if (code === 429) status = "rate_limited";
+  else if (code === 401 || code === 403) status = "denied";
+  else if (code >= 400) status = "rejected";
+  return { status, http_status: code };
+}
+
+function createQueryHandler(defaultMode) {
+  return async (req, res) => {
+    const { user_id, query, stream, session_id, no_cache, persona } = req.body;
+    const mode = req.body.mode || defaultMode;
+    if (!query) return res.status(400).json({ error: "Missing query text" });
+
+    const started = Date.now();
+    const requestContext = getRequestContext();
+    const audit = startAuditRecord({
+      request_id: requestContext && requestContext.requestId,
+      user_id: user_id || null,
+      key_id: req.auth ? req.auth.keyId : null,
+      session_id: session_id || null,
+      mode,
+      query,
+      persona: persona || null,
+      rules_loaded_at: getIntentRulesStatus().loadedAt,
+    });
+    res.once("close", () =>
+      writeAuditRecord({ ...audit, ...auditOutcome(res, audit), duration_ms: Date.now() - started })
+    );
+
+    if (!MODES.includes(mode)) return res.status(400).json({ error: `mode must be one of ${MODES.join(", ")}` });
+    if (stream === true && mode !== "answer") return res.status(400).json({ error: "Streaming is only available in answer mode" });
+    if (persona && !hasPromptTemplate(persona)) {
+      return res.status(400).json({ error: `Unknown persona "${persona}"`, personas: listPromptTemplates().map((t) => t.name) });
+    }
+
+    const userId = requestUser(req, res, user_id);
+    if (!userId) return;
+    audit.user_id = userId;
+    if (mode === "answer") {
+      const budget = checkLlmBudget(req.auth);
+      if (!budget.ok) {
+        res.set("Retry-After", String(budget.retryAfterSeconds));
+        return res.status(429).json({ error: budget.error, retry_after_seconds: budget.retryAfterSeconds });
+      }
+    }
+
+    const { session, status, error } = openSession(session_id, userId);
+    if (!session) return res.status(status).json({ error });
+    audit.session_id = session.id;
+
+    const wantsStream =
+      mode === "answer" && (stream === true || req.accepts(["application/json", "text/event-stream"]) === "text/event-stream");
+    const abort = new AbortController();
+    res.on("close", () => abort.abort());
+
+    try {
+      const context = await gatherContext(req, res, { userId, session, query, noCache: no_cache === true, audit });
+      if (!context) return;
+      if (mode === "package") return sendPackage(res, { userId, session, query, context });
+      await sendAnswer(req, res, { userId, session, query, persona, wantsStream, signal: abort.signal, context, audit });
+    } catch (err) {
+      // The quota can run out mid-request, e.g. when routing spent the key's last tokens
+      if (err.code === "LLM_QUOTA" && !res.headersSent) {
+        res.set("Retry-After", String(err.retryAfterSeconds));
+        return res.status(429).json({ error: err.message, retry_after_seconds: err.retryAfterSeconds });
+      }
+      log.error("Error processing request", { err });
+      audit.error = err.message;
+      if (res.headersSent) return res.end();
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+// --------------------------------------------------
+// 5️⃣  Document ingestion for retrieval
+// --------------------------------------------------
+function ingest(req, res) {
+  try {
+    const { path: target, documents } = req.body;
+    if (documents) return res.json({ ...ingestDocuments(documents), index: indexStats() });
+    if (!target) return res.status(400).json({ error: "Provide a path or documents" });
+
+    // Only files inside the project directory can be ingested
+    const resolved = path.resolve(target);
+    if (!resolved.startsWith(process.cwd() + path.sep)) {
+      return res.status(400).json({ error: "Path must be inside the project directory" });
+    }
+    res.json({ ...ingestPath(resolved), index: indexStats() });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+}
+
+// --------------------------------------------------
+// 6️⃣  Connector listing and health
+// --------------------------------------------------
+async function connectorStatus(req, res) {
+  const health = await checkConnectorHealth();
+  res.json({
+    connectors: listConnectors().filter((c) => hasScope(req.auth, c.name)).map((c) => ({
+      name: c.name,
+      description: c.description,
+      keywords: c.keywords,
+      fallback: c.fallback,
+      health: health.find((h) => h.connector === c.name),
+    })),
+  });
+}
+
+/**
+ * Load connectors, API keys, intent rules, prompt templates and digest schedules, then build the app. Does not listen.
+ * `mode` is the default for requests that do not pick one; `watchRules` re-reads intentRules.json on edits;
+ * `scheduleDigests` starts the digest scheduler.
+ */
+export async function createApp({
+  mode = process.env.SERVER_MODE || "answer",
+  watchRules = true,
+  scheduleDigests = process.env.DIGEST_SCHEDULER !== "false",
+} = {}) {
+  if (!MODES.includes(mode)) throw new Error(`Unknown server mode "${mode}" (expected ${MODES.join(" or ")})`);
+
+  await loadConnectors();
+  loadApiKeys();
+  loadIntentRules();
+  if (watchRules) watchIntentRules(); // edits to intentRules.json apply without a restart
+  loadPromptTemplates();
+  if (scheduleDigests) startDigestScheduler();
+
+  const app = express();
+  app.use(traceRequests()); // first, so the request ID reaches every log line and span
+  app.use("/mcp", createMcpRouter()); // MCP over streamable HTTP, parses its own JSON-RPC bodies
+  app.use(bodyParser.json());
+
+  app.post("/mcp-query", requireAuth(), createQueryHandler(mode));
+  app.get("/", (req, res) => {
+    res.send(`✅ MCP Hybrid Analyzer Server is running (${mode} mode)`);
+  });
+  app.post("/ingest", requireAuth({ scope: ADMIN_SCOPE }), ingest);
+  app.get("/connectors", requireAuth(), connectorStatus);
+  app.get("/personas", requireAuth(), (req, res) => {
+    res.json({ personas: listPromptTemplates() });
+  });
+  app.get("/metrics", requireAuth({ scope: METRICS_SCOPE }), (req, res) => {
+    res.type("text/plain; version=0.0.4").send(renderMetrics());
+  });
+
+  // OAuth connect / callback / revoke, operator endpoints, conversation sessions, the query audit log
+  // and scheduled digests
+  app.use(createAuthRouter());
+  app.use(createAdminRouter());
+  app.use(createSessionRouter());
+  app.use(createAuditRouter());
+  app.use(createDigestRouter());
+
+  return app;
+}
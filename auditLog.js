@@ -0,0 +1,225 @@
+// auditLog.js
+// Append-only JSONL record of every /mcp-query: query, routing, connector outputs, prompt and answer.
+//
+// AUDIT_LOG_PATH: the log file (default ./data/audit.jsonl); AUDIT_LOG=false turns recording off.
+// Past AUDIT_MAX_BYTES the file is rotated to audit.jsonl.1, .2, ... and only AUDIT_MAX_FILES old files are kept.
+// Values are redacted before they reach the disk. Built-in rules mask e-mail addresses, card numbers,
+// phone numbers, bearer tokens and API keys, and fields named like secrets; AUDIT_REDACTION_PATH
+// (default ./auditRedaction.json) adds rules and can leave whole fields out:
+// {
+//   "patterns": [{ "name": "employee_id", "regex": "EMP-\\d{6}", "replacement": "[EMPLOYEE_ID]" }],
+//   "omit": ["prompt"]                                   // top-level record fields never stored
+// }
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+import crypto from "crypto";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("audit");
+
+const AUDIT_PATH = process.env.AUDIT_LOG_PATH || "./data/audit.jsonl";
+const ENABLED = process.env.AUDIT_LOG !== "false";
+const REDACTION_PATH = process.env.AUDIT_REDACTION_PATH || "./auditRedaction.json";
+const MAX_DATA_CHARS = Number(process.env.AUDIT_MAX_DATA_CHARS) || 20000;
+const MAX_BYTES = Number(process.env.AUDIT_MAX_BYTES) || 50 * 1024 * 1024;
+const MAX_FILES = Number(process.env.AUDIT_MAX_FILES) || 5;
+
+const BUILTIN_PATTERNS = [
+  { name: "email", regex: /[\w.+-]+@[\w-]+(\.[\w-]+)+/g, replacement: "[EMAIL]" },
+  { name: "bearer", regex: /\bBearer\s+[\w.~+/-]+=*/gi, replacement: "Bearer [REDACTED]" },
+  { name: "api_key", regex: /\b(sk|rk|pk)_(live|test)_\w+|\bmcp_[\w-]{20,}|\bgh[pousr]_\w{20,}|\bAKIA[0-9A-Z]{16}\b/g, replacement: "[API_KEY]" },
+  { name: "card", regex: /\b\d{4}[ -]?\d{4}[ -]?\d{4}[ -]?\d{1,7}\b/g, replacement: "[CARD]" },
+  { name: "phone", regex: /(?<![\w-])\+?\d{1,3}[ .-]?\(?\d{3}\)?[ .-]\d{3}[ .-]\d{4}(?![\w-])/g, replacement: "[PHONE]" },
+];
+// Whole-field redaction by name: access_token, client_secret, password, apiKey, ... (not prompt_tokens)
+const SECRET_KEY_RE = /(^|_)(token|secret|password|authorization|api_?key|credentials?)$/i;
+// Top-level fields the log is searched and authorized by; stored as is, so an e-mail user id stays matchable
+const IDENTITY_FIELDS = ["id", "request_id", "user_id", "key_id", "session_id"];
+
+let redaction = null; // { patterns, omit }
+
+function compilePatterns(raw, file) {
+  const rules = Array.isArray(raw.patterns) ? raw.patterns : [];
+  return rules.map((rule, i) => {
+    if (typeof rule.regex !== "string") throw new Error(`${file}: patterns[${i}].regex must be a string`);
+    return { name: rule.name || `pattern_${i}`, regex: new RegExp(rule.regex, "gi"), replacement: rule.replacement || "[REDACTED]" };
+  });
+}
+
+/**
+ * Load the extra redaction rules. A missing file leaves the built-in rules only; an invalid one throws.
+ */
+export function loadRedactionRules(file = REDACTION_PATH) {
+  let raw = {};
+  if (fs.existsSync(file)) raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  redaction = {
+    patterns: [...BUILTIN_PATTERNS, ...compilePatterns(raw, file)],
+    omit: Array.isArray(raw.omit) ? raw.omit : [],
+  };
+  return redaction;
+}
+
+function rules() {
+  return redaction || loadRedactionRules();
+}
+
+/**
+ * Mask sensitive substrings in every string of `value`; fields named like secrets are replaced whole.
+ */
+export function redact(value, patterns = rules().patterns) {
+  if (typeof value === "string") {
+    return patterns.reduce((text, rule) => text.replace(rule.regex, rule.replacement), value);
+  }
+  if (Array.isArray(value)) return value.map((item) => redact(item, patterns));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, v]) => [key, SECRET_KEY_RE.test(key) && v ? "[REDACTED]" : redact(v, patterns)])
+    );
+  }
+  return value;
+}
+
+// Connector results as stored: large `data` payloads are dropped rather than cut mid-object
+function auditSource(result) {
+  const { data, ...rest } = result;
+  if (data === undefined) return rest;
+  const size = JSON.stringify(data).length;
+  return size > MAX_DATA_CHARS ? { ...rest, data_omitted: `${size} chars` } : { ...rest, data };
+}
+
+/**
+ * Start the record for one query; the handler fills in intent, sources, prompt and answer as it goes.
+ */
+export function startAuditRecord(fields) {
+  return {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    ...fields,
+    intent: null,
+    sources: [],
+    prompt: null,
+    answer: null,
+  };
+}
+
+const rotatedFile = (n) => `${AUDIT_PATH}.${n}`;
+
+// audit.jsonl → .1 → .2 → … → .MAX_FILES, dropping the oldest, when `bytes` more would pass MAX_BYTES
+function rotateIfFull(bytes) {
+  const size = fs.existsSync(AUDIT_PATH) ? fs.statSync(AUDIT_PATH).size : 0;
+  if (!size || size + bytes <= MAX_BYTES) return;
+  fs.rmSync(rotatedFile(MAX_FILES), { force: true });
+  for (let n = MAX_FILES - 1; n >= 1; n--) {
+    if (fs.existsSync(rotatedFile(n))) fs.renameSync(rotatedFile(n), rotatedFile(n + 1));
+  }
+  fs.renameSync(AUDIT_PATH, rotatedFile(1));
+  log.info("Rotated audit log", { file: AUDIT_PATH, bytes: size });
+}
+
+/**
+ * Redact and append a finished record. Failures are logged, never thrown: auditing must not break queries.
+ */
+export function writeAuditRecord(record) {
+  if (!ENABLED) return null;
+  try {
+    const { omit, patterns } = rules();
+    // Round-trip through JSON first so Dates and other toJSON values are redacted as the strings they store as
+    const stored = JSON.parse(JSON.stringify({ ...record, sources: record.sources.map(auditSource) }));
+    for (const field of omit) delete stored[field];
+
+    const identity = Object.fromEntries(IDENTITY_FIELDS.filter((f) => f in stored).map((f) => [f, stored[f]]));
+    const line = JSON.stringify({ ...redact(stored, patterns), ...identity }) + "\n";
+    fs.mkdirSync(path.dirname(AUDIT_PATH), { recursive: true });
+    rotateIfFull(Buffer.byteLength(line));
+    fs.appendFileSync(AUDIT_PATH, line, { mode: 0o600 });
+    return stored.id;
+  } catch (err) {
+    log.error("Could not write audit record", { id: record.id, err });
+    return null;
+  }
+}
+
+// --------------------------------------------------
+// Reading the log
+// --------------------------------------------------
+// Existing log files, oldest first
+function logFiles() {
+  const rotated = Array.from({ length: MAX_FILES }, (_, i) => rotatedFile(MAX_FILES - i));
+  return [...rotated, AUDIT_PATH].filter((file) => fs.existsSync(file));
+}
+
+// `contains` skips lines without that text before parsing them
+async function* readRecords(file, { contains = null } = {}) {
+  if (!fs.existsSync(file)) return;
+  const lines = readline.createInterface({ input: fs.createReadStream(file, "utf8"), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim() || (contains && !line.includes(contains))) continue;
+    try {
+      yield JSON.parse(line);
+    } catch {
+      // A torn last line from a crash mid-write; skip it
+    }
+  }
+}
+
+/**
+ * One record by id, looking through the newest file first.
+ */
+export async function getAuditRecord(id) {
+  for (const file of logFiles().reverse()) {
+    for await (const record of readRecords(file, { contains: id })) {
+      if (record.id === id) return record;
+    }
+  }
+  return null;
+}
+
+function matches(record, { userId, connector, status, from, to, text }) {
+  if (userId && record.user_id !== userId) return false;
+  if (connector && !(record.intent && record.intent.connectors.includes(connector))) return false;
+  if (status && record.status !== status) return false;
+  const at = Date.parse(record.at);
+  if (from && at < from) return false;
+  if (to && at >= to) return false;
+  return !text || String(record.query).toLowerCase().includes(text.toLowerCase());
+}
+
+// What a search returns per record; fetch one with getAuditRecord for everything
+function summarizeRecord(r) {
+  return {
+    id: r.id,
+    at: r.at,
+    request_id: r.request_id,
+    user_id: r.user_id,
+    mode: r.mode,
+    query: r.query,
+    connectors: r.intent ? r.intent.connectors : [],
+    status: r.status,
+    http_status: r.http_status,
+    duration_ms: r.duration_ms,
+  };
+}
+
+/**
+ * Newest-first search. Filters: userId, connector (routed to), status, from / to (ms), text (in the query).
+ * Returns { total, records } with records summarized. The files are streamed oldest first and only the
+ * newest `offset + limit` matches are kept, since those hold the requested page.
+ */
+export async function searchAuditLog(filters = {}, { limit = 50, offset = 0 } = {}) {
+  const newest = [];
+  let total = 0;
+  const contains = filters.userId ? `"user_id":${JSON.stringify(filters.userId)}` : null;
+  for (const file of logFiles()) {
+    // A file last written before `from` holds nothing newer
+    if (filters.from && fs.statSync(file).mtimeMs < filters.from) continue;
+    for await (const record of readRecords(file, { contains })) {
+      if (!matches(record, filters)) continue;
+      total++;
+      newest.push(summarizeRecord(record));
+      if (newest.length > offset + limit) newest.shift();
+    }
+  }
+  newest.reverse();
+  return { total, records: newest.slice(offset, offset + limit) };
+}
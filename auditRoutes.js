@@ -0,0 +1,154 @@
+// auditRoutes.js
+// Search the /mcp-query audit log and replay stored queries against the current routing rules.
+import express from "express";
+import { searchAuditLog, getAuditRecord } from "./auditLog.js";
+import { analyzeIntent, describeRouting, getIntentRulesStatus } from "./intentAnalyzer.js";
+import { fetchConnector } from "./connectorRegistry.js";
+import { requireAuth, requestUser, hasScope, filterConnectorsByScope, ADMIN_SCOPE } from "./apiKeys.js";
+import { withSpan } from "./tracing.js";
+
+const MAX_LIMIT = 500;
+const SCORE_CHANGE = 0.05; // smaller moves in a connector's combined score are not reported
+
+// Other users' records look the same as missing ones, except to admin keys
+async function findRecord(req) {
+  const record = await getAuditRecord(req.params.id);
+  if (!record || !req.auth || hasScope(req.auth, ADMIN_SCOPE)) return record;
+  return record.user_id === req.auth.userId ? record : null;
+}
+
+function parseDate(value, name) {
+  if (value === undefined) return { value: null };
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? { error: `${name} must be an ISO date or timestamp` } : { value: ms };
+}
+
+// What was understood, not the instants: "last 3 hours" moves with the milliseconds between recording and parsing
+function sameTimeRange(a, b) {
+  if (!a || !b) return !a && !b;
+  return a.expression === b.expression && a.granularity === b.granularity;
+}
+
+/**
+ * Routing differences between a stored query and its replay: connectors added or removed, a changed
+ * time range and connectors whose combined score moved by at least SCORE_CHANGE.
+ */
+function compareRouting(stored, current) {
+  const before = stored ? stored.connectors : [];
+  const added = current.connectors.filter((c) => !before.includes(c));
+  const removed = before.filter((c) => !current.connectors.includes(c));
+  const timeRangeChanged = !sameTimeRange(stored ? stored.time_range : null, current.time_range);
+
+  const storedScores = Object.fromEntries(((stored && stored.routing.scores) || []).map((s) => [s.connector, s.combined]));
+  const currentScores = Object.fromEntries(current.routing.scores.map((s) => [s.connector, s.combined]));
+  const scoreChanges = [...new Set([...Object.keys(storedScores), ...Object.keys(currentScores)])]
+    .map((connector) => ({ connector, stored: storedScores[connector] ?? 0, current: currentScores[connector] ?? 0 }))
+    .filter((s) => Math.abs(s.current - s.stored) >= SCORE_CHANGE);
+
+  return {
+    changed: added.length > 0 || removed.length > 0 || timeRangeChanged,
+    added,
+    removed,
+    time_range_changed: timeRangeChanged,
+    score_changes: scoreChanges,
+  };
+}
+
+// Session as routing saw it when the query was recorded, so follow-ups replay as follow-ups
+function replaySession(record) {
+  const previous = record.session_context;
+  if (!previous) return null;
+  return {
+    turns: [{ query: previous.previous_query }],
+    context: { connectors: previous.connectors, timeRange: previous.timeRange, entities: previous.entities },
+  };
+}
+
+async function replay(record, { auth, fetch }) {
+  // Relative expressions ("today", "last 3 days") resolve as they did when the query was recorded
+  const storedRange = record.intent && record.intent.time_range;
+  const intent = await withSpan("intent", () =>
+    analyzeIntent(record.query, {
+      session: replaySession(record),
+      now: new Date(record.at),
+      timeZone: storedRange ? storedRange.timeZone : undefined,
+    })
+  );
+  const { allowed, denied } = filterConnectorsByScope(auth, intent.connectors);
+  const current = { connectors: allowed, denied, time_range: intent.timeRange, routing: describeRouting(intent) };
+
+  let sources = null;
+  if (fetch) {
+    const results = await Promise.all(
+      allowed.map((conn) =>
+        fetchConnector(conn, record.user_id, record.query, intent.timeRange, { entities: intent.entities, noCache: true })
+      )
+    );
+    sources = results.map((result) => {
+      const stored = record.sources.find((s) => s.connector === result.connector);
+      return {
+        connector: result.connector,
+        status: result.status,
+        summary: result.summary,
+        stored: stored ? { status: stored.status, summary: stored.summary } : null,
+      };
+    });
+  }
+
+  return {
+    id: record.id,
+    query: record.query,
+    recorded_at: record.at,
+    rules: { recorded_loaded_at: record.rules_loaded_at, current_loaded_at: getIntentRulesStatus().loadedAt },
+    stored: record.intent,
+    current,
+    diff: compareRouting(record.intent, current),
+    sources,
+  };
+}
+
+export function createAuditRouter() {
+  const router = express.Router();
+  router.use("/audit", requireAuth());
+
+  // ?user_id=&connector=&status=&from=&to=&q=&limit=&offset= — non-admin keys only see their own user
+  router.get("/audit", async (req, res) => {
+    const { user_id, connector, status, q } = req.query;
+    let userId = user_id || null;
+    if (req.auth && !hasScope(req.auth, ADMIN_SCOPE)) {
+      userId = requestUser(req, res, user_id);
+      if (!userId) return;
+    }
+
+    const from = parseDate(req.query.from, "from");
+    const to = parseDate(req.query.to, "to");
+    if (from.error || to.error) return res.status(400).json({ error: from.error || to.error });
+    const limit = Math.min(Number(req.query.limit) || 50, MAX_LIMIT);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+    const result = await searchAuditLog(
+      { userId, connector, status, from: from.value, to: to.value, text: q },
+      { limit, offset }
+    );
+    res.json({ ...result, limit, offset });
+  });
+
+  router.get("/audit/:id", async (req, res) => {
+    const record = await findRecord(req);
+    if (!record) return res.status(404).json({ error: `Unknown audit record ${req.params.id}` });
+    res.json(record);
+  });
+
+  // Re-route the stored query with the current rules; { "fetch": true } also re-runs its connectors
+  router.post("/audit/:id/replay", async (req, res) => {
+    const record = await findRecord(req);
+    if (!record) return res.status(404).json({ error: `Unknown audit record ${req.params.id}` });
+    try {
+      res.json(await replay(record, { auth: req.auth, fetch: Boolean(req.body && req.body.fetch) }));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
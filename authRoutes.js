@@ -0,0 +1,107 @@
+// authRoutes.js
+// OAuth connect / callback / revoke routes for the per-user token store.
+import express from "express";
+import { getAuthUrl, getAccessToken, revokeAccess } from "./googleCalendarHelper.js";
+import { getGitHubAuthUrl, exchangeGitHubCode, saveGitHubToken, revokeGitHubAccess } from "./githubHelper.js";
+import { listConnectedProviders } from "./tokenStore.js";
+import { requireAuth, requestUser, describeAuth } from "./apiKeys.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("auth");
+
+const revokers = {
+  google: revokeAccess,
+  github: revokeGitHubAccess,
+};
+
+// Browsers get redirected; API clients (which must send a key header) can ask for the URL as JSON instead
+function sendAuthUrl(req, res, url) {
+  if (req.accepts(["html", "json"]) === "json") return res.json({ url });
+  res.redirect(url);
+}
+
+// user_id comes from whoever started the flow, so it is escaped before going into the page
+function escapeHtml(text) {
+  const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+  return String(text).replace(/[&<>"']/g, (c) => entities[c]);
+}
+
+export function createAuthRouter() {
+  const router = express.Router();
+
+  // Step 1 — send the user to Google, remembering who asked
+  router.get("/auth", requireAuth(), async (req, res) => {
+    const userId = requestUser(req, res, req.query.user_id);
+    if (!userId) return;
+    sendAuthUrl(req, res, await getAuthUrl(userId));
+  });
+
+  // Step 2 — handle callback from Google. Stays public: the one-time state ties it to the user who started
+  router.get("/oauth2callback", async (req, res) => {
+    try {
+      const userId = await getAccessToken(req.query.code, req.query.state);
+      if (userId) res.send(`✅ Authorization successful for ${escapeHtml(userId)}! You can close this tab now and try your API call again.`);
+      else res.status(400).send("❌ Authorization failed: the login link expired or was already used. Start again from /auth.");
+    } catch (err) {
+      log.error("Google OAuth callback failed", { err });
+      res.status(500).send("❌ Authorization failed. Check your console for details.");
+    }
+  });
+
+  router.get("/auth/github", requireAuth(), (req, res) => {
+    const userId = requestUser(req, res, req.query.user_id);
+    if (!userId) return;
+    try {
+      sendAuthUrl(req, res, getGitHubAuthUrl(userId));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get("/auth/github/callback", async (req, res) => {
+    try {
+      const userId = await exchangeGitHubCode(req.query.code, req.query.state);
+      if (userId) res.send(`✅ GitHub connected for ${escapeHtml(userId)}! You can close this tab now.`);
+      else res.status(400).send("❌ Authorization failed: the login link expired or was already used. Start again from /auth/github.");
+    } catch (err) {
+      log.error("GitHub OAuth callback failed", { err });
+      res.status(500).send("❌ Authorization failed. Check your console for details.");
+    }
+  });
+
+  // Personal access tokens can be stored directly instead of going through OAuth
+  router.put("/auth/github/token", requireAuth(), express.json(), (req, res) => {
+    const { user_id, token } = req.body || {};
+    if (!token || (!user_id && !req.auth)) return res.status(400).json({ error: "user_id and token are required" });
+    const userId = requestUser(req, res, user_id);
+    if (!userId) return;
+    saveGitHubToken(userId, token);
+    res.json({ user_id: userId, provider: "github", connected: true });
+  });
+
+  router.get("/auth/status", requireAuth(), (req, res) => {
+    const userId = requestUser(req, res, req.query.user_id);
+    if (!userId) return;
+    res.json({ user_id: userId, providers: listConnectedProviders(userId) });
+  });
+
+  // The calling API key: its user, scopes and today's usage against its limits
+  router.get("/auth/key", requireAuth(), (req, res) => {
+    res.json(describeAuth(req.auth));
+  });
+
+  // Disconnect: revoke the grant upstream and delete the stored tokens
+  router.post("/auth/revoke", requireAuth(), express.json(), async (req, res) => {
+    const { user_id, provider } = req.body || {};
+    if ((!user_id && !req.auth) || !revokers[provider]) {
+      return res.status(400).json({ error: `user_id and provider (${Object.keys(revokers).join(" or ")}) are required` });
+    }
+    const userId = requestUser(req, res, user_id);
+    if (!userId) return;
+    const removed = await revokers[provider](userId);
+    if (!removed) return res.status(404).json({ error: `No ${provider} authorization stored for ${userId}` });
+    res.json({ user_id: userId, provider, revoked: true });
+  });
+
+  return router;
+}
@@ -0,0 +1,260 @@
+// awsHelper.js
+import { EC2Client, DescribeInstancesCommand } from "@aws-sdk/client-ec2";
+import { ECSClient, ListClustersCommand, ListServicesCommand, DescribeServicesCommand } from "@aws-sdk/client-ecs";
+import { CloudWatchClient, DescribeAlarmsCommand, GetMetricDataCommand } from "@aws-sdk/client-cloudwatch";
+import { clampToPast } from "./timeParser.js";
+
+const HOUR = 60 * 60 * 1000;
+const MAX_CPU_QUERIES = 100;
+const DEFAULT_WINDOW_HOURS = 3;
+
+/**
+ * Create the EC2, ECS and CloudWatch clients.
+ * `endpoint` (or AWS_ENDPOINT_URL) points every client at a local stub such as LocalStack.
+ */
+export function createAwsClients({ region, endpoint, credentials } = {}) {
+  const config = {
+    region: region || process.env.AWS_REGION || "us-east-1",
+  };
+  const url = endpoint || process.env.AWS_ENDPOINT_URL;
+  if (url) config.endpoint = url;
+  if (credentials) config.credentials = credentials;
+
+  return {
+    ec2: new EC2Client(config),
+    ecs: new ECSClient(config),
+    cloudwatch: new CloudWatchClient(config),
+  };
+}
+
+/**
+ * Look-back window for metrics: the shared time range clamped to the past,
+ * or the last DEFAULT_WINDOW_HOURS when there is none (or it lies in the future).
+ */
+export function metricsWindow(timeRange, now = new Date()) {
+  const past = clampToPast(timeRange, now);
+  if (past) return { start: past.start, end: past.end };
+  return { start: new Date(now.getTime() - DEFAULT_WINDOW_HOURS * HOUR), end: new Date(now) };
+}
+
+/**
+ * List every EC2 instance with its current state.
+ */
+export async function getInstanceStates(ec2, { signal } = {}) {
+  const instances = [];
+  let NextToken;
+  do {
+    const res = await ec2.send(new DescribeInstancesCommand({ NextToken }), { abortSignal: signal });
+    for (const reservation of res.Reservations || []) {
+      for (const i of reservation.Instances || []) {
+        const nameTag = (i.Tags || []).find((t) => t.Key === "Name");
+        instances.push({
+          id: i.InstanceId,
+          name: nameTag ? nameTag.Value : null,
+          type: i.InstanceType,
+          state: i.State ? i.State.Name : "unknown",
+          availabilityZone: i.Placement ? i.Placement.AvailabilityZone : null,
+          launchTime: i.LaunchTime ? new Date(i.LaunchTime).toISOString() : null,
+        });
+      }
+    }
+    NextToken = res.NextToken;
+  } while (NextToken);
+  return instances;
+}
+
+/**
+ * Desired/running counts and deployments for every ECS service in every cluster.
+ */
+export async function getEcsServices(ecs, { signal } = {}) {
+  const clusterArns = [];
+  let NextToken;
+  do {
+    const res = await ecs.send(new ListClustersCommand({ nextToken: NextToken }), { abortSignal: signal });
+    clusterArns.push(...(res.clusterArns || []));
+    NextToken = res.nextToken;
+  } while (NextToken);
+
+  const services = [];
+  for (const cluster of clusterArns) {
+    const serviceArns = [];
+    NextToken = undefined;
+    do {
+      const res = await ecs.send(new ListServicesCommand({ cluster, nextToken: NextToken }), { abortSignal: signal });
+      serviceArns.push(...(res.serviceArns || []));
+      NextToken = res.nextToken;
+    } while (NextToken);
+
+    // DescribeServices accepts at most 10 services per call
+    for (let i = 0; i < serviceArns.length; i += 10) {
+      const res = await ecs.send(
+        new DescribeServicesCommand({ cluster, services: serviceArns.slice(i, i + 10) }),
+        { abortSignal: signal }
+      );
+      for (const s of res.services || []) {
+        services.push({
+          cluster: cluster.split("/").pop(),
+          name: s.serviceName,
+          status: s.status,
+          desiredCount: s.desiredCount ?? 0,
+          runningCount: s.runningCount ?? 0,
+          pendingCount: s.pendingCount ?? 0,
+          deployments: (s.deployments || []).map((d) => ({
+            id: d.id,
+            status: d.status,
+            rolloutState: d.rolloutState || null,
+            taskDefinition: d.taskDefinition ? d.taskDefinition.split("/").pop() : null,
+            desiredCount: d.desiredCount ?? 0,
+            runningCount: d.runningCount ?? 0,
+            createdAt: d.createdAt ? new Date(d.createdAt).toISOString() : null,
+            updatedAt: d.updatedAt ? new Date(d.updatedAt).toISOString() : null,
+          })),
+        });
+      }
+    }
+  }
+  return services;
+}
+
+/**
+ * All CloudWatch metric alarms with their current state.
+ */
+export async function getAlarms(cloudwatch, { signal } = {}) {
+  const alarms = [];
+  let NextToken;
+  do {
+    const res = await cloudwatch.send(new DescribeAlarmsCommand({ NextToken }), { abortSignal: signal });
+    for (const a of res.MetricAlarms || []) {
+      alarms.push({
+        name: a.AlarmName,
+        state: a.StateValue,
+        reason: a.StateReason,
+        metric: a.Namespace && a.MetricName ? `${a.Namespace}/${a.MetricName}` : null,
+        updatedAt: a.StateUpdatedTimestamp ? new Date(a.StateUpdatedTimestamp).toISOString() : null,
+      });
+    }
+    NextToken = res.NextToken;
+  } while (NextToken);
+  return alarms;
+}
+
+/**
+ * Average and peak CPUUtilization per instance over the window.
+ */
+export async function getCpuMetrics(cloudwatch, instanceIds, { start, end, signal }) {
+  const ids = instanceIds.slice(0, MAX_CPU_QUERIES);
+  if (!ids.length) return [];
+
+  // Aim for roughly 60 datapoints, rounded to a whole minute
+  const seconds = Math.max(60, (end - start) / 1000);
+  const period = Math.max(60, Math.ceil(seconds / 60 / 60) * 60);
+
+  const queries = ids.map((id, idx) => ({
+    Id: `cpu${idx}`,
+    MetricStat: {
+      Metric: {
+        Namespace: "AWS/EC2",
+        MetricName: "CPUUtilization",
+        Dimensions: [{ Name: "InstanceId", Value: id }],
+      },
+      Period: period,
+      Stat: "Average",
+    },
+  }));
+
+  const values = {};
+  let NextToken;
+  do {
+    const res = await cloudwatch.send(
+      new GetMetricDataCommand({ MetricDataQueries: queries, StartTime: start, EndTime: end, NextToken }),
+      { abortSignal: signal }
+    );
+    for (const r of res.MetricDataResults || []) {
+      values[r.Id] = (values[r.Id] || []).concat(r.Values || []);
+    }
+    NextToken = res.NextToken;
+  } while (NextToken);
+
+  return ids.map((id, idx) => {
+    const points = values[`cpu${idx}`] || [];
+    if (!points.length) return { instanceId: id, average: null, max: null, datapoints: 0 };
+    const sum = points.reduce((a, b) => a + b, 0);
+    return {
+      instanceId: id,
+      average: Math.round((sum / points.length) * 10) / 10,
+      max: Math.round(Math.max(...points) * 10) / 10,
+      datapoints: points.length,
+    };
+  });
+}
+
+function countBy(items, key) {
+  return items.reduce((acc, item) => {
+    acc[item[key]] = (acc[item[key]] || 0) + 1;
+    return acc;
+  }, {});
+}
+
+/**
+ * Gather EC2, ECS and CloudWatch data into one structured summary. `signal` aborts the SDK calls.
+ */
+export async function getAwsHealthSummary(clients, timeRange, { signal } = {}) {
+  const window = metricsWindow(timeRange);
+
+  const [instances, services, alarms] = await Promise.all([
+    getInstanceStates(clients.ec2, { signal }),
+    getEcsServices(clients.ecs, { signal }),
+    getAlarms(clients.cloudwatch, { signal }),
+  ]);
+
+  const runningIds = instances.filter((i) => i.state === "running").map((i) => i.id);
+  const cpu = await getCpuMetrics(clients.cloudwatch, runningIds, { ...window, signal });
+
+  const degradedServices = services.filter((s) => s.runningCount < s.desiredCount);
+  const recentDeployments = services.flatMap((s) =>
+    s.deployments
+      .filter((d) => d.updatedAt && new Date(d.updatedAt) >= window.start)
+      .map((d) => ({ service: s.name, cluster: s.cluster, ...d }))
+  );
+  const firingAlarms = alarms.filter((a) => a.state === "ALARM");
+
+  return {
+    window: { start: window.start.toISOString(), end: window.end.toISOString() },
+    ec2: { instances, countsByState: countBy(instances, "state") },
+    ecs: { services, degradedServices: degradedServices.map((s) => s.name), recentDeployments },
+    cloudwatch: { alarms, firingAlarms: firingAlarms.map((a) => a.name), cpu },
+  };
+}
+
+/**
+ * One-line human readable version of getAwsHealthSummary's result.
+ */
+export function formatAwsSummary(data) {
+  const parts = [];
+
+  const states = Object.entries(data.ec2.countsByState).map(([state, n]) => `${n} ${state}`);
+  parts.push(`EC2: ${states.length ? states.join(", ") : "no instances"}`);
+
+  const { services, degradedServices, recentDeployments } = data.ecs;
+  let ecs = `ECS: ${services.length} services`;
+  if (degradedServices.length) {
+    const details = services
+      .filter((s) => degradedServices.includes(s.name))
+      .map((s) => `${s.name} ${s.runningCount}/${s.desiredCount}`);
+    ecs += ` (degraded: ${details.join(", ")})`;
+  }
+  if (recentDeployments.length) ecs += `, ${recentDeployments.length} recent deployments`;
+  parts.push(ecs);
+
+  const firing = data.cloudwatch.firingAlarms;
+  parts.push(firing.length ? `Alarms firing: ${firing.join(", ")}` : "No alarms firing");
+
+  const measured = data.cloudwatch.cpu.filter((c) => c.average !== null);
+  if (measured.length) {
+    const avg = measured.reduce((a, c) => a + c.average, 0) / measured.length;
+    const peak = measured.reduce((a, c) => (c.max > a.max ? c : a));
+    parts.push(`CPU avg ${avg.toFixed(1)}% (peak ${peak.max}% on ${peak.instanceId})`);
+  }
+
+  return parts.join(". ") + ".";
+}
@@ -0,0 +1,93 @@
+// connectorCache.js
+// Short-lived cache of successful connector results plus coalescing of identical in-flight fetches.
+
+const DEFAULT_TTL_MS = process.env.CONNECTOR_CACHE_TTL_MS !== undefined ? Number(process.env.CONNECTOR_CACHE_TTL_MS) : 60 * 1000;
+const MAX_ENTRIES = Number(process.env.CONNECTOR_CACHE_MAX_ENTRIES) || 500;
+
+const entries = new Map(); // key → { result, storedAt, expiresAt }
+const inflight = new Map(); // key → Promise<result>
+const stats = { hits: 0, misses: 0, coalesced: 0, bypassed: 0 };
+
+function normalizeText(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s/#:-]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Minute precision so rolling windows ("past hour") still share entries within the same minute
+function minute(date) {
+  return date ? new Date(Math.floor(new Date(date).getTime() / 60000) * 60000).toISOString() : null;
+}
+
+/**
+ * Cache key for a fetch: user, connector, normalized query and entities, and the time range to the minute.
+ */
+export function cacheKey({ user, connector, query, entities = {}, timeRange = null }) {
+  const normalizedEntities = Object.keys(entities)
+    .filter((k) => entities[k] !== null && entities[k] !== undefined)
+    .sort()
+    .map((k) => [k, normalizeText(entities[k])]);
+  const range = timeRange ? [minute(timeRange.start), minute(timeRange.end), timeRange.granularity] : null;
+  return JSON.stringify([user || null, connector, normalizeText(query), normalizedEntities, range]);
+}
+
+export function ttlFor(connector) {
+  return connector.cacheTtlMs !== undefined ? connector.cacheTtlMs : DEFAULT_TTL_MS;
+}
+
+export function getCached(key) {
+  const entry = entries.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    entries.delete(key);
+    return null;
+  }
+  return entry;
+}
+
+export function setCached(key, result, ttlMs) {
+  if (!(ttlMs > 0)) return;
+  entries.delete(key);
+  entries.set(key, { result, storedAt: Date.now(), expiresAt: Date.now() + ttlMs });
+  // Map keeps insertion order, so the first key is the oldest
+  while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+}
+
+/**
+ * Run `fn` once per key at a time; concurrent callers with the same key share its promise.
+ * Resolves with { result, shared } where `shared` is true for callers that joined an existing fetch.
+ */
+export async function coalesce(key, fn) {
+  if (inflight.has(key)) {
+    stats.coalesced++;
+    return { result: await inflight.get(key), shared: true };
+  }
+  const promise = fn().finally(() => inflight.delete(key));
+  inflight.set(key, promise);
+  return { result: await promise, shared: false };
+}
+
+export function recordCacheOutcome(status) {
+  if (status === "hit") stats.hits++;
+  else if (status === "miss") stats.misses++;
+  else if (status === "bypass") stats.bypassed++;
+}
+
+/**
+ * Drop cached results, for one connector or all of them. Returns the number removed.
+ */
+export function clearConnectorCache(connector = null) {
+  let removed = 0;
+  for (const key of entries.keys()) {
+    if (connector && JSON.parse(key)[1] !== connector) continue;
+    entries.delete(key);
+    removed++;
+  }
+  return removed;
+}
+
+export function cacheStats() {
+  return { entries: entries.size, inflight: inflight.size, ...stats };
+}
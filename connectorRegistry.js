@@ -0,0 +1,205 @@
+// connectorRegistry.js
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { runResilient, withDeadline, getCircuitState } from "./connectorResilience.js";
+import { cacheKey, ttlFor, getCached, setCached, coalesce, recordCacheOutcome } from "./connectorCache.js";
+import { createLogger } from "./logger.js";
+import { recordSpan } from "./tracing.js";
+import { connectorRequests, connectorErrors, connectorDuration, connectorCache } from "./metrics.js";
+
+const log = createLogger("connectors");
+
+const CONNECTORS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "connectors");
+
+/**
+ * Registered connectors keyed by name.
+ *
+ * A connector module default-exports an object shaped like:
+ *   {
+ *     name: "github_repo",
+ *     description: "Pull requests, issues and commits from GitHub",
+ *     keywords: ["pull request", "repo"],
+ *     fallback: false,               // used when nothing else matches
+ *     fetch(query, timeRange, user, context), // → { summary, data?, entities? }; timeRange is { start, end, granularity } or null
+ *     healthCheck(),                 // → { ok, detail }
+ *     timeoutMs: 8000,               // optional deadline across all attempts (CONNECTOR_TIMEOUT_MS)
+ *     retries: 2,                    // optional retries on transient errors (CONNECTOR_RETRIES)
+ *     cacheTtlMs: 60000,             // optional result cache lifetime, 0 disables (CONNECTOR_CACHE_TTL_MS)
+ *   }
+ */
+const connectors = new Map();
+
+function validateConnector(connector, file) {
+  if (!connector || typeof connector !== "object") {
+    return `${file} has no default export`;
+  }
+  if (typeof connector.name !== "string" || !connector.name) {
+    return `${file} is missing a connector name`;
+  }
+  if (typeof connector.fetch !== "function") {
+    return `${file} (${connector.name}) is missing a fetch() function`;
+  }
+  if (connector.keywords && !Array.isArray(connector.keywords)) {
+    return `${file} (${connector.name}) keywords must be an array`;
+  }
+  return null;
+}
+
+/**
+ * Register a connector object directly (used by the directory loader and tests).
+ */
+export function registerConnector(connector) {
+  const problem = validateConnector(connector, "connector");
+  if (problem) throw new Error(problem);
+
+  connectors.set(connector.name, {
+    description: "",
+    keywords: [],
+    fallback: false,
+    healthCheck: async () => ({ ok: true, detail: "No health check defined" }),
+    ...connector,
+  });
+}
+
+/**
+ * Import every *.js file in the connectors directory and register its default export.
+ */
+export async function loadConnectors(dir = CONNECTORS_DIR) {
+  const files = fs.readdirSync(dir).filter((f) => f.endsWith(".js")).sort();
+
+  for (const file of files) {
+    try {
+      const mod = await import(pathToFileURL(path.join(dir, file)).href);
+      const problem = validateConnector(mod.default, file);
+      if (problem) {
+        log.warn("Skipping connector", { file, problem });
+        continue;
+      }
+      registerConnector(mod.default);
+    } catch (err) {
+      log.warn("Failed to load connector", { file, err });
+    }
+  }
+
+  log.info("Connectors loaded", { connectors: [...connectors.keys()] });
+  return listConnectors();
+}
+
+export function getConnector(name) {
+  return connectors.get(name) || null;
+}
+
+export function listConnectors() {
+  return [...connectors.values()];
+}
+
+/**
+ * Connectors that can be picked by the analyzers (everything except the fallback).
+ */
+export function listRoutableConnectors() {
+  return listConnectors().filter((c) => !c.fallback);
+}
+
+export function getFallbackConnector() {
+  return listConnectors().find((c) => c.fallback) || null;
+}
+
+// One resilient fetch: deadline, retries and circuit breaker (see connectorResilience.js)
+async function fetchFresh(impl, user_id, query, timeRange, context) {
+  const connector = impl.name;
+  const outcome = await runResilient(
+    connector,
+    (signal) => impl.fetch(query, timeRange, user_id, { ...context, signal }),
+    { timeoutMs: impl.timeoutMs, retries: impl.retries }
+  );
+  const meta = { status: outcome.status, latencyMs: outcome.latencyMs, attempts: outcome.attempts };
+
+  if (outcome.status === "ok") {
+    return { connector, ...meta, error: null, ...outcome.value };
+  }
+  log.warn("Connector fetch failed", { connector, code: outcome.error.code, error: outcome.error.message, attempts: outcome.attempts });
+  return {
+    connector,
+    ...meta,
+    error: outcome.error,
+    summary: `Failed to fetch data for ${connector}: ${outcome.error.message}`,
+  };
+}
+
+/**
+ * Dispatch a fetch to the named connector, never throwing.
+ * `context.entities` holds entities resolved earlier in the conversation (e.g. { repo });
+ * `context.noCache` skips the result cache (the fresh result still refreshes it).
+ *
+ * Each fetch runs under the connector's deadline (`timeoutMs`) with retries on transient errors and
+ * a circuit breaker. The result reports `status` (ok | error | timeout | skipped), `latencyMs`,
+ * `attempts`, `error: { code, message }` and `cache: { status, ageMs }` alongside the summary.
+ */
+export async function fetchConnector(connector, user_id, query, timeRange, context = {}) {
+  const result = await fetchWithCache(connector, user_id, query, timeRange, context);
+  observeFetch(result);
+  return result;
+}
+
+// Span on the current request plus the connector metrics for one finished fetch
+function observeFetch({ connector, status, latencyMs, attempts, error, cache }) {
+  recordSpan(`connector:${connector}`, latencyMs, { status, attempts, ...(cache ? { cache: cache.status } : {}) });
+  connectorRequests.inc({ connector, status });
+  if (error) connectorErrors.inc({ connector, code: error.code });
+  if (cache) connectorCache.inc({ connector, status: cache.status });
+  connectorDuration.observe({ connector }, latencyMs / 1000);
+}
+
+async function fetchWithCache(connector, user_id, query, timeRange, context) {
+  const impl = getConnector(connector);
+  if (!impl) {
+    return {
+      connector,
+      status: "error",
+      latencyMs: 0,
+      attempts: 0,
+      error: { code: "unknown_connector", message: `No connector named ${connector}` },
+      summary: "No data available",
+    };
+  }
+
+  const { noCache = false, ...fetchContext } = context;
+  const key = cacheKey({ user: user_id, connector, query, entities: fetchContext.entities, timeRange });
+  if (!noCache) {
+    const cached = getCached(key);
+    if (cached) {
+      recordCacheOutcome("hit");
+      return { ...cached.result, latencyMs: 0, attempts: 0, cache: { status: "hit", ageMs: Date.now() - cached.storedAt } };
+    }
+  }
+
+  // Identical concurrent fetches share one upstream call
+  const { result, shared } = await coalesce(key, async () => {
+    const fresh = await fetchFresh(impl, user_id, query, timeRange, fetchContext);
+    if (fresh.status === "ok") setCached(key, fresh, ttlFor(impl));
+    return fresh;
+  });
+  const status = shared ? "coalesced" : noCache ? "bypass" : "miss";
+  recordCacheOutcome(status);
+  return { ...result, cache: { status, ageMs: 0 } };
+}
+
+/**
+ * Run one connector's health check under its deadline (`timeoutMs`, default CONNECTOR_TIMEOUT_MS).
+ */
+export async function checkHealth(c) {
+  try {
+    const health = await withDeadline((signal) => c.healthCheck({ signal }), c.timeoutMs);
+    return { connector: c.name, ...health, circuit: getCircuitState(c.name) };
+  } catch (err) {
+    return { connector: c.name, ok: false, detail: err.message, circuit: getCircuitState(c.name) };
+  }
+}
+
+/**
+ * Run every connector's health check.
+ */
+export async function checkConnectorHealth() {
+  return Promise.all(listConnectors().map(checkHealth));
+}
@@ -0,0 +1,191 @@
+// connectorResilience.js
+// Deadlines, retries with backoff and a per-connector circuit breaker for connector fetches.
+import { createLogger } from "./logger.js";
+
+const log = createLogger("resilience");
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.CONNECTOR_TIMEOUT_MS) || 8000;
+const DEFAULT_RETRIES = process.env.CONNECTOR_RETRIES !== undefined ? Number(process.env.CONNECTOR_RETRIES) : 2;
+const BACKOFF_BASE_MS = 250;
+const BACKOFF_MAX_MS = 4000;
+const FAILURE_THRESHOLD = Number(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5;
+const COOLDOWN_MS = Number(process.env.CIRCUIT_COOLDOWN_MS) || 30 * 1000;
+
+// Error codes worth another attempt
+const TRANSIENT_CODES = new Set(["rate_limited", "upstream_error", "network_error"]);
+// Error codes caused by the caller rather than the service; they never open the circuit
+const CALLER_CODES = new Set(["unauthorized", "not_found"]);
+const NETWORK_ERRORS = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE", "UND_ERR_SOCKET"]);
+
+class TimeoutError extends Error {
+  constructor(ms) {
+    super(`Timed out after ${ms} ms`);
+    this.name = "TimeoutError";
+  }
+}
+
+function httpStatus(err) {
+  return err.status || (err.response && err.response.status) || (typeof err.code === "number" ? err.code : null);
+}
+
+/**
+ * Map an error from any client library (Octokit, googleapis, AWS SDK, fetch) to a stable code:
+ * timeout, rate_limited, unauthorized, not_found, upstream_error, network_error or error.
+ */
+export function classifyError(err) {
+  if (err instanceof TimeoutError) return "timeout";
+  const status = httpStatus(err);
+  if (status === 429 || err.name === "ThrottlingException" || err.name === "TooManyRequestsException") return "rate_limited";
+  // GitHub reports secondary rate limits as 403 with a zero remaining quota
+  const headers = (err.response && err.response.headers) || {};
+  if (status === 403 && String(headers["x-ratelimit-remaining"]) === "0") return "rate_limited";
+  if (status === 401 || status === 403 || /authoriz|credential/i.test(err.message)) return "unauthorized";
+  if (status === 404) return "not_found";
+  if (status >= 500 || (err.$metadata && err.$metadata.httpStatusCode >= 500)) return "upstream_error";
+  if (NETWORK_ERRORS.has(err.code) || (err.cause && NETWORK_ERRORS.has(err.cause.code))) return "network_error";
+  return "error";
+}
+
+// Retry-After (seconds or HTTP date) or GitHub's x-ratelimit-reset, in ms
+function retryAfterMs(err) {
+  const headers = (err.response && err.response.headers) || {};
+  const retryAfter = headers["retry-after"];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    return Number.isFinite(seconds) ? seconds * 1000 : Math.max(0, Date.parse(retryAfter) - Date.now());
+  }
+  if (headers["x-ratelimit-reset"]) return Math.max(0, Number(headers["x-ratelimit-reset"]) * 1000 - Date.now());
+  return null;
+}
+
+function backoffMs(attempt, err) {
+  const hinted = retryAfterMs(err);
+  if (hinted !== null) return hinted;
+  const exp = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempt - 1));
+  return exp / 2 + Math.random() * (exp / 2);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// --------------------------------------------------
+// Circuit breaker: open after FAILURE_THRESHOLD consecutive failures, retry one call after COOLDOWN_MS
+// --------------------------------------------------
+const circuits = new Map(); // name → { failures, openedAt, state }
+
+function circuitFor(name) {
+  if (!circuits.has(name)) circuits.set(name, { state: "closed", failures: 0, openedAt: null });
+  return circuits.get(name);
+}
+
+function allowRequest(name) {
+  const circuit = circuitFor(name);
+  if (circuit.state === "closed") return true;
+  if (circuit.state === "open" && Date.now() - circuit.openedAt >= COOLDOWN_MS) {
+    circuit.state = "half_open"; // let a single trial call through
+    return true;
+  }
+  return false;
+}
+
+function recordSuccess(name) {
+  circuits.set(name, { state: "closed", failures: 0, openedAt: null });
+}
+
+function recordFailure(name) {
+  const circuit = circuitFor(name);
+  circuit.failures++;
+  if (circuit.state === "half_open" || circuit.failures >= FAILURE_THRESHOLD) {
+    if (circuit.state !== "open") log.warn("Circuit opened", { connector: name, failures: circuit.failures });
+    circuit.state = "open";
+    circuit.openedAt = Date.now();
+  }
+}
+
+export function getCircuitState(name) {
+  const circuit = circuitFor(name);
+  return {
+    state: circuit.state,
+    failures: circuit.failures,
+    retryAt: circuit.state === "open" ? new Date(circuit.openedAt + COOLDOWN_MS).toISOString() : null,
+  };
+}
+
+/**
+ * Run `fn(signal)` once under a deadline, without retries or the circuit breaker (used for health checks).
+ * Aborts `signal` and rejects with a TimeoutError once `timeoutMs` passes.
+ */
+export async function withDeadline(fn, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  const deadline = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      deadline.abort();
+      reject(new TimeoutError(timeoutMs));
+    }, timeoutMs);
+  });
+  try {
+    return await Promise.race([fn(deadline.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Run `fn(signal)` under a deadline covering every attempt, retrying transient failures with
+ * exponential backoff (or the server's Retry-After) while time remains, behind the connector's circuit breaker.
+ * Never throws; resolves with { status, value?, error?, attempts, latencyMs }.
+ */
+export async function runResilient(name, fn, { timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES } = {}) {
+  const started = Date.now();
+  const elapsed = () => Date.now() - started;
+
+  if (!allowRequest(name)) {
+    const { retryAt } = getCircuitState(name);
+    return {
+      status: "skipped",
+      attempts: 0,
+      latencyMs: 0,
+      error: { code: "circuit_open", message: `Skipped after repeated failures; retrying after ${retryAt}` },
+    };
+  }
+
+  const deadline = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      deadline.abort();
+      reject(new TimeoutError(timeoutMs));
+    }, timeoutMs);
+  });
+
+  let attempts = 0;
+  try {
+    for (;;) {
+      attempts++;
+      try {
+        const value = await Promise.race([fn(deadline.signal), timeout]);
+        recordSuccess(name);
+        return { status: "ok", value, attempts, latencyMs: elapsed() };
+      } catch (err) {
+        const code = classifyError(err);
+        const wait = backoffMs(attempts, err);
+        if (!TRANSIENT_CODES.has(code) || attempts > retries || elapsed() + wait >= timeoutMs) throw err;
+        log.warn("Connector attempt failed, retrying", { connector: name, attempt: attempts, code, retryInMs: Math.round(wait) });
+        await Promise.race([sleep(wait), timeout]);
+      }
+    }
+  } catch (err) {
+    const code = classifyError(err);
+    // A per-user problem (missing authorization, unknown repo) means the service itself answered
+    if (CALLER_CODES.has(code)) recordSuccess(name);
+    else recordFailure(name);
+    return {
+      status: code === "timeout" ? "timeout" : "error",
+      attempts,
+      latencyMs: elapsed(),
+      error: { code, message: err.message },
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,35 @@
+// connectors/awsMonitor.js
+import { DescribeAlarmsCommand } from "@aws-sdk/client-cloudwatch";
+import { createAwsClients, getAwsHealthSummary, formatAwsSummary } from "../awsHelper.js";
+
+let clients = null;
+
+/**
+ * Override the AWS clients, e.g. `{ endpoint: "http://localhost:4566" }` for a local stub,
+ * or `{ clients: { ec2, ecs, cloudwatch } }` with objects exposing `send(command)`.
+ */
+export function configureAwsMonitor(options = {}) {
+  clients = options.clients || createAwsClients(options);
+}
+
+function getClients() {
+  if (!clients) clients = createAwsClients();
+  return clients;
+}
+
+export default {
+  name: "aws_monitor",
+  description: "Server health, instance status and deployments on AWS",
+  keywords: ["server", "instance", "status", "deployment", "aws", "error", "uptime"],
+  cacheTtlMs: 30 * 1000, // alarms and instance states change quickly
+
+  async fetch(query, timeRange, user, context = {}) {
+    const data = await getAwsHealthSummary(getClients(), timeRange, { signal: context.signal });
+    return { summary: formatAwsSummary(data), data };
+  },
+
+  async healthCheck({ signal } = {}) {
+    await getClients().cloudwatch.send(new DescribeAlarmsCommand({ MaxRecords: 1 }), { abortSignal: signal });
+    return { ok: true, detail: "CloudWatch reachable" };
+  },
+};
@@ -0,0 +1,15 @@
+// connectors/fitbitHealth.js
+// Simulated connector (replace with the real API later).
+export default {
+  name: "fitbit_health",
+  description: "Steps, sleep and workout stats from Fitbit",
+  keywords: ["fitness", "steps", "sleep", "heart rate", "workout"],
+
+  async fetch(query, timeRange, user) {
+    return { summary: "Fetched recent step count and sleep stats." };
+  },
+
+  async healthCheck() {
+    return { ok: true, detail: "Simulated data source" };
+  },
+};
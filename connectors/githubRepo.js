@@ -0,0 +1,21 @@
+// connectors/githubRepo.js
+import { handleGitHubQuery, formatGitHubResult } from "../githubHelper.js";
+
+export default {
+  name: "github_repo",
+  description: "Pull requests, issues and commits from GitHub repositories",
+  keywords: ["pull request", "repo", "commit", "issue"],
+
+  async fetch(query, timeRange, user, context = {}) {
+    const repoHint = context.entities && context.entities.repo;
+    const data = await handleGitHubQuery(query, { timeRange, user, repoHint, signal: context.signal });
+    return { summary: formatGitHubResult(data), data, entities: data.repo ? { repo: data.repo } : {} };
+  },
+
+  async healthCheck() {
+    if (!process.env.GITHUB_CLIENT_ID && !process.env.GITHUB_TOKEN) {
+      return { ok: false, detail: "Neither GITHUB_CLIENT_ID nor GITHUB_TOKEN is set" };
+    }
+    return { ok: true, detail: "GitHub OAuth or token configured" };
+  },
+};
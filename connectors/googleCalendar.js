@@ -0,0 +1,115 @@
+// connectors/googleCalendar.js
+import fs from "fs";
+import {
+  authorize,
+  getUpcomingEvents,
+  getUserTimeZone,
+  getCalendarIds,
+  getBusyIntervals,
+  parseAvailabilityQuery,
+  findFreeSlots,
+} from "../googleCalendarHelper.js";
+import { startOfZonedDay, formatZonedTime, formatZonedDay } from "../timeUtils.js";
+import { parseTimeExpression } from "../timeParser.js";
+
+const AVAILABILITY_PATTERN = /\b(free|busy|available|availability|open slots?)\b/i;
+const AVAILABILITY_LOOKAHEAD_DAYS = 5;
+// Ranges at least this coarse are limited to working hours when looking for free time
+const WORKDAY_GRANULARITIES = ["day", "week", "month"];
+
+function formatSlot(slot, timeZone) {
+  return `${formatZonedDay(slot.start, timeZone)} ${formatZonedTime(slot.start, timeZone)}–${formatZonedTime(slot.end, timeZone)}`;
+}
+
+// Routing parses time in the server's zone; "today" or "Friday" must mean the calendar owner's day
+function inTimeZone(timeRange, timeZone) {
+  if (!timeRange || timeRange.timeZone === timeZone || !timeRange.expression) return timeRange;
+  return parseTimeExpression(timeRange.expression, { timeZone }) || timeRange;
+}
+
+async function fetchAvailability(auth, query, timeRange, { timeZone, calendarIds, signal }) {
+  const now = new Date();
+  const range = timeRange || {
+    start: now,
+    end: startOfZonedDay(now, timeZone, AVAILABILITY_LOOKAHEAD_DAYS),
+    granularity: "day",
+  };
+  const { durationMinutes } = parseAvailabilityQuery(query);
+  const workingHoursOnly = WORKDAY_GRANULARITIES.includes(range.granularity);
+
+  const busy = await getBusyIntervals(auth, { timeMin: range.start, timeMax: range.end, timeZone, calendarIds, signal });
+  const slots = findFreeSlots(busy, { start: range.start, end: range.end, timeZone, durationMinutes, workingHoursOnly, now });
+
+  const when = timeRange ? ` ${timeRange.expression}` : "";
+  const label = `${when} (slots of ${durationMinutes}+ min, ${timeZone})`;
+  const summary = slots.length
+    ? `Free${label}: ${slots.map((s) => formatSlot(s, timeZone)).join("; ")}`
+    : `No free time${label}. Busy blocks: ${busy.map((b) => formatSlot(b, timeZone)).join("; ") || "none"}`;
+
+  return {
+    summary,
+    data: {
+      mode: "free_busy",
+      timeZone,
+      range: { start: range.start.toISOString(), end: range.end.toISOString() },
+      durationMinutes,
+      workingHoursOnly,
+      calendars: calendarIds,
+      busy: busy.map((b) => ({ start: b.start.toISOString(), end: b.end.toISOString() })),
+      freeSlots: slots.map((s) => ({ start: s.start.toISOString(), end: s.end.toISOString() })),
+    },
+  };
+}
+
+export default {
+  name: "google_calendar",
+  description: "Upcoming meetings and availability from Google Calendar",
+  keywords: ["meeting", "schedule", "calendar", "free", "busy"],
+  cacheTtlMs: 2 * 60 * 1000,
+
+  async fetch(query, routedRange, user, context = {}) {
+    const { signal } = context;
+    const auth = await authorize(user);
+    const [timeZone, calendarIds] = await Promise.all([getUserTimeZone(auth, { signal }), getCalendarIds(auth, { signal })]);
+    const timeRange = inTimeZone(routedRange, timeZone);
+
+    if (AVAILABILITY_PATTERN.test(query)) {
+      return fetchAvailability(auth, query, timeRange, { timeZone, calendarIds, signal });
+    }
+
+    const events = await getUpcomingEvents(auth, {
+      timeMin: timeRange ? timeRange.start : undefined,
+      timeMax: timeRange ? timeRange.end : undefined,
+      calendarIds,
+      signal,
+    });
+    const data = {
+      mode: "events",
+      timeZone,
+      range: timeRange ? { start: timeRange.start.toISOString(), end: timeRange.end.toISOString() } : null,
+      calendars: calendarIds,
+      events,
+    };
+
+    const when = timeRange ? ` ${timeRange.expression}` : "";
+    if (!events.length) {
+      return { summary: `No${timeRange ? "" : " upcoming"} meetings found in your calendar${when}.`, data };
+    }
+
+    // Format top events into a string
+    const eventSummary = events
+      .map((e) => {
+        const start = e.start.dateTime || e.start.date;
+        return `${e.summary || "No title"} at ${start}`;
+      })
+      .join("; ");
+
+    return { summary: `${timeRange ? "Meetings" + when : "Upcoming meetings"}: ${eventSummary}`, data };
+  },
+
+  async healthCheck() {
+    if (!fs.existsSync("credentials.json")) return { ok: false, detail: "credentials.json not found" };
+    if (!process.env.TOKEN_ENCRYPTION_KEY) return { ok: false, detail: "TOKEN_ENCRYPTION_KEY not set" };
+    return { ok: true, detail: "OAuth client configured; users connect via /auth?user_id=..." };
+  },
+};
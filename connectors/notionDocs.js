@@ -0,0 +1,38 @@
+// connectors/notionDocs.js
+import { createDocsBackend, searchDocuments, formatDocsSummary } from "../docsHelper.js";
+
+let backend = null;
+
+/**
+ * Swap the notes backend: `{ backend: "local", dir }`, `{ backend: "notion", token, baseUrl }`,
+ * or any object with `listDocuments({ signal })` and `healthCheck({ signal })`.
+ */
+export function configureNotionDocs(options = {}) {
+  backend = typeof options.backend === "object" ? options.backend : createDocsBackend(options);
+}
+
+function getBackend() {
+  if (!backend) backend = createDocsBackend();
+  return backend;
+}
+
+export default {
+  name: "notion_docs",
+  description: "Meeting notes, decisions and project documents",
+  keywords: ["note", "decision", "project", "document", "summary"],
+
+  async fetch(query, timeRange, user, context = {}) {
+    const docs = await getBackend().listDocuments({ signal: context.signal });
+    const projectHint = context.entities && context.entities.project;
+    const data = searchDocuments(docs, query, { timeRange, projectHint });
+    return {
+      summary: formatDocsSummary(data),
+      data: { backend: getBackend().name, ...data },
+      entities: data.project ? { project: data.project } : {},
+    };
+  },
+
+  async healthCheck({ signal } = {}) {
+    return getBackend().healthCheck({ signal });
+  },
+};
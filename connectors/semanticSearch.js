@@ -0,0 +1,15 @@
+// connectors/semanticSearch.js
+// Fallback used when no other connector matches the query.
+export default {
+  name: "semantic_search",
+  description: "General semantic search for context",
+  fallback: true,
+
+  async fetch(query, timeRange, user) {
+    return { summary: "Performed general semantic search for context." };
+  },
+
+  async healthCheck() {
+    return { ok: true, detail: "Simulated data source" };
+  },
+};
@@ -0,0 +1,34 @@
+// connectors/stripeFinance.js
+import { createStripeClientFromEnv, handleStripeQuery, formatStripeSummary } from "../stripeHelper.js";
+
+let client = null;
+
+/**
+ * Override the Stripe client: `{ baseUrl, apiKey }` for a local mock, `{ mode: "fixtures", file }`
+ * for offline fixtures, or `{ client }` with an object exposing `get(route, params, signal)`.
+ */
+export function configureStripeFinance(options = {}) {
+  client = options.client || createStripeClientFromEnv(options);
+}
+
+function getClient() {
+  if (!client) client = createStripeClientFromEnv();
+  return client;
+}
+
+export default {
+  name: "stripe_finance",
+  description: "Balances, payments and invoices from Stripe",
+  keywords: ["payment", "invoice", "balance", "transaction"],
+
+  async fetch(query, timeRange, user, context = {}) {
+    const data = await handleStripeQuery(query, { timeRange, client: getClient(), signal: context.signal });
+    return { summary: formatStripeSummary(data), data };
+  },
+
+  async healthCheck({ signal } = {}) {
+    if (getClient().mode === "fixtures") return { ok: true, detail: "Offline fixtures" };
+    await getClient().get("/balance", {}, signal);
+    return { ok: true, detail: "Stripe API reachable" };
+  },
+};
@@ -0,0 +1,106 @@
+// contextAssembler.js
+// Fits live connector results and retrieved documents into a token budget for the final prompt.
+import { getLLMClient, getModel, llmRequestOptions, trackLlmCall } from "./llmClient.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("contextAssembler");
+
+const TOKEN_BUDGET = Number(process.env.CONTEXT_TOKEN_BUDGET) || 3000;
+const SUMMARIZER = process.env.CONTEXT_SUMMARIZER || "llm"; // "llm" or "truncate"
+const MIN_PARTIAL_TOKENS = 60; // smaller leftovers are not worth summarizing into
+const CHARS_PER_TOKEN = 4; // rough average for English text with OpenAI tokenizers
+
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Cut text to roughly `maxTokens`, preferring the last sentence or line break that fits.
+ */
+export function truncateToTokens(text, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  if (text.length <= maxChars) return text;
+  const slice = text.slice(0, maxChars - 1);
+  const cut = Math.max(slice.lastIndexOf(". "), slice.lastIndexOf("\n"));
+  return `${cut > maxChars / 2 ? slice.slice(0, cut + 1) : slice}…`;
+}
+
+async function summarize(text, maxTokens, query) {
+  const response = await trackLlmCall("summarize", () =>
+    getLLMClient().chat.completions.create(
+      {
+        model: getModel(),
+        max_tokens: maxTokens,
+        messages: [
+          {
+            role: "system",
+            content: `Summarize the text in at most ${Math.floor(maxTokens * 0.75)} words. Keep names, numbers and dates that help answer: ${query}`,
+          },
+          { role: "user", content: text },
+        ],
+      },
+      llmRequestOptions()
+    )
+  );
+  return (response.choices[0].message.content || "").trim();
+}
+
+// Shrink an item to fit `room` tokens: LLM summary when enabled, truncation otherwise or on failure
+async function shrink(item, room, query) {
+  if (SUMMARIZER === "llm") {
+    try {
+      const summary = await summarize(item.text, room, query);
+      if (summary && estimateTokens(summary) <= room) return { text: summary, action: "summarized" };
+    } catch (err) {
+      log.warn("Could not summarize context item, truncating instead", { item: item.id, err });
+    }
+  }
+  return { text: truncateToTokens(item.text, room), action: "truncated" };
+}
+
+/**
+ * Rank items ({ id, kind, text, relevance }) by relevance and fit them into the budget.
+ * Items that no longer fit are summarized or truncated into the remaining room, or dropped when
+ * too little is left. `reserved` tokens (e.g. conversation history) are taken off the budget first.
+ * Returns { included, report }; `included` keeps relevance order and each item gains `action`.
+ */
+export async function assembleContext(items, { query, budget = TOKEN_BUDGET, reserved = 0 } = {}) {
+  const ranked = [...items].sort((a, b) => b.relevance - a.relevance);
+  let remaining = budget - reserved;
+  const included = [];
+  const reportItems = [];
+
+  for (const item of ranked) {
+    const originalTokens = estimateTokens(item.text);
+    let entry = null;
+    if (originalTokens <= remaining) {
+      entry = { ...item, action: "included" };
+    } else if (remaining >= MIN_PARTIAL_TOKENS) {
+      entry = { ...item, ...(await shrink(item, remaining, query)) };
+    }
+
+    const tokens = entry ? estimateTokens(entry.text) : 0;
+    if (entry) {
+      included.push(entry);
+      remaining -= tokens;
+    }
+    reportItems.push({
+      id: item.id,
+      kind: item.kind,
+      relevance: Math.round(item.relevance * 100) / 100,
+      action: entry ? entry.action : "dropped",
+      tokens,
+      originalTokens,
+    });
+  }
+
+  return {
+    included,
+    report: {
+      budgetTokens: budget,
+      reservedTokens: reserved,
+      usedTokens: budget - remaining,
+      items: reportItems,
+    },
+  };
+}
@@ -2,115 +2,176 @@
  * context_manager.js
  * An orchestration layer responsible for intelligently gathering, summarizing,
  * and formatting context before calling the main LLM.
- * NOTE: This is a conceptual implementation. Actual RAG requires vector databases
- * and sophisticated retrieval logic.
+ * Retrieval is backed by the local BM25 index in documentIndex.js.
  */
 
-// --- MOCK DATA SOURCES (In a real app, these would be API calls or DB lookups) ---
-
-const MOCK_DOC_REPO = {
-    "continuous deployment": [
-        "CD is the practice of automatically deploying code changes to production. The biggest challenge in 2025 is typically security validation within the automated pipeline.",
-        "A common bottleneck is integration testing across microservices, requiring complex environment orchestration.",
-        "Organizational challenges, specifically lack of trust between Dev and Ops, often prevent full CD adoption."
-    ],
-    "machine learning": [
-        "MLOps teams often struggle with model drift and continuous retraining pipeline complexity."
-    ],
-    "cloud migration": [
-        "Cost optimization and vendor lock-in are primary risks when migrating to the cloud."
-    ]
-};
-
-// Mock function to simulate advanced context retrieval and combination
-function mockRetrieveContext(inferredTopics, initialQuery) {
-    const relevantChunks = [];
-    
-    // 1. Combine Multiple Sources (Mocking)
-    console.log(`[Context Manager] Retrieving context for inferred topics: ${inferredTopics.join(', ')}`);
-
-    for (const topic of inferredTopics) {
-        const sourceData = MOCK_DOC_REPO[topic.toLowerCase()];
-        if (sourceData) {
-            // In a real RAG system, similarity search would pick the most relevant chunks.
-            // Here, we just take the first two related chunks from the mock source.
-            relevantChunks.push(...sourceData.slice(0, 2));
-        }
-    }
+import fs from "fs";
+import { search, ingestPath, indexStats } from "./documentIndex.js";
+import { assembleContext, estimateTokens } from "./contextAssembler.js";
+import { selectPromptTemplate, renderPromptTemplate, loadUserProfile, formatUserProfile } from "./promptTemplates.js";
+import { DEFAULT_USER } from "./tokenStore.js";
+import { createLogger } from "./logger.js";
 
-    // 2. Add in Google Search Grounding if necessary (using the built-in tool)
-    if (initialQuery.includes("right now")) {
-        console.log("[Context Manager] Query indicates real-time data needed, enabling Google Search tool.");
-        return {
-            contextText: relevantChunks.join("\n---\n"),
-            useSearchTool: true
-        };
-    }
+const log = createLogger("contextManager");
 
-    return {
-        contextText: relevantChunks.join("\n---\n"),
-        useSearchTool: false
-    };
+const KNOWLEDGE_DIR = process.env.KNOWLEDGE_DIR || "./knowledge";
+const TOP_K = Number(process.env.RETRIEVAL_TOP_K) || 4;
+const MIN_SCORE = 0.5;
+
+// Seed the index from the knowledge folder the first time it is used
+function ensureIndex() {
+    if (indexStats().chunks === 0 && fs.existsSync(KNOWLEDGE_DIR)) {
+        const result = ingestPath(KNOWLEDGE_DIR);
+        log.info("Indexed knowledge directory", { chunks: result.chunks, files: result.files, dir: KNOWLEDGE_DIR });
+    }
 }
 
+// Retrieve the most relevant chunks for the query, keeping their source ids for citation
+function retrieveContext(userQuery) {
+    ensureIndex();
+    const chunks = search(userQuery, TOP_K).filter((c) => c.score >= MIN_SCORE);
+    log.debug("Retrieved document chunks", { chunks: chunks.map((c) => c.id) });
 
-/**
- * Core function to handle the entire context preparation pipeline.
- * @param {string} userQuery - The initial query from the user.
- * @returns {object} - The augmented prompt and tool configuration.
- */
-async function prepareContextualPrompt(userQuery) {
-    // --- STEP 1: Infer Context Needed (Mocked Inference) ---
-    // In a production system, a separate, fast LLM call might classify the query.
-    // For this example, we'll use keyword inference for simplicity.
-    const inferredTopics = [];
-    if (userQuery.includes("deployment")) inferredTopics.push("Continuous Deployment");
-    if (userQuery.includes("ML")) inferredTopics.push("Machine Learning");
-
-    if (inferredTopics.length === 0) {
-        console.warn("[Context Manager] No specific domain context inferred. Relying on LLM's general knowledge and Search Tool.");
-        return {
-            finalPrompt: userQuery,
-            tools: [{ google_search: {} }] // Default to Google Search if no specific context is found
-        };
+    // Add in Google Search Grounding if necessary (using the built-in tool)
+    const useSearchTool = userQuery.includes("right now");
+    if (useSearchTool) {
+        log.info("Query needs real-time data, enabling the search tool");
     }
 
-    // --- STEP 2: Retrieve and Combine Sources ---
-    const { contextText, useSearchTool } = mockRetrieveContext(inferredTopics, userQuery);
+    return { chunks, useSearchTool };
+}
 
-    // --- STEP 3: Efficiency - Context Summarization (Not implemented here for simplicity) ---
-    // The contextText would ideally be summarized by an LLM to be very concise.
-    // const summarizedContext = await summarizeLLM(contextText);
+const HISTORY_TURNS = 3;
+const HISTORY_ANSWER_CHARS = 500;
+
+// Recent turns of the session, newest last, with long answers trimmed
+function formatHistory(turns) {
+    return turns
+        .slice(-HISTORY_TURNS)
+        .map((t) => {
+            const answer = t.answer && t.answer.length > HISTORY_ANSWER_CHARS ? `${t.answer.slice(0, HISTORY_ANSWER_CHARS)}…` : t.answer;
+            return `User: ${t.query}${answer ? `\nAssistant: ${answer}` : ''}`;
+        })
+        .join("\n");
+}
 
-    // --- STEP 4: Augment the Prompt ---
-    const finalPrompt = `
-You are a **Pragmatic and Solution-Oriented DevOps Consultant**. Your primary intent is to provide **actionable recommendations and expert analysis**.
+// Live connector data first-class alongside documents, both numbered for citation
+function formatItem(item, ref) {
+    const label = item.kind === "connector"
+        ? `live data: ${item.connector}`
+        : `source: ${item.chunk.id}${item.chunk.heading ? `, section: ${item.chunk.heading}` : ''}`;
+    const note = item.action === "included" ? '' : `, ${item.action}`;
+    return `[${ref}] (${label}${note})\n${item.text}`;
+}
 
-Based on the following retrieved context, answer the user's query.
+// BM25 scores are unbounded; map them onto 0–1 so they rank against routing confidence
+function documentRelevance(score) {
+    return Math.min(0.9, score / (score + 2));
+}
 
-INSTRUCTION SET:
-1.  Analyze the provided information (CONTEXT and USER QUERY).
-2.  If possible, identify a root cause or key challenge.
-3.  Generate your response as a concise summary followed by a bulleted list of 2-3 specific, actionable steps or recommendations.
+function contextItems(chunks, connectorResults, routingScores) {
+    const confidence = Object.fromEntries(routingScores.map((s) => [s.connector, s.combined]));
+    const connectorItems = connectorResults
+        .filter((r) => r.summary)
+        .map((r) => ({
+            id: `connector:${r.connector}`,
+            kind: "connector",
+            connector: r.connector,
+            status: r.status,
+            text: r.summary,
+            // Failed sources stay in (so the answer can say data is missing) but rank low
+            relevance: (confidence[r.connector] ?? 0.7) * (r.status && r.status !== "ok" ? 0.5 : 1),
+        }));
+    const documentItems = chunks.map((c) => ({
+        id: c.id,
+        kind: "document",
+        chunk: c,
+        text: c.text,
+        relevance: documentRelevance(c.score),
+    }));
+    return [...connectorItems, ...documentItems];
+}
 
-RETRIEVED CONTEXT:
----
-${contextText}
----
 
-USER QUERY:
-${userQuery}
+/**
+ * Core function to handle the entire context preparation pipeline.
+ * @param {string} userQuery - The initial query from the user.
+ * @param {object} [options.history] - Earlier turns of the session ({ query, answer }).
+ * @param {boolean} [options.followUp] - The query continues the previous turn, so retrieve for both.
+ * @param {object[]} [options.connectorResults] - Results from fetchConnector to merge with the documents.
+ * @param {object[]} [options.routingScores] - intent.scores, used to rank connector results.
+ * @param {string[]} [options.connectors] - Routed connectors, best first; they pick the prompt template.
+ * @param {string} [options.persona] - Explicit prompt template name, overriding the routed choice.
+ * @param {string} [options.userId] - Whose profile fills {{user_profile}}.
+ * @returns {object} - The augmented prompt, tool configuration, cited sources, the persona used and a
+ *     report of which context items were included, summarized, truncated or dropped to fit the token budget.
+ */
+async function prepareContextualPrompt(userQuery, {
+    history = [],
+    followUp = false,
+    connectorResults = [],
+    routingScores = [],
+    connectors = [],
+    persona = null,
+    userId = DEFAULT_USER,
+} = {}) {
+    // --- STEP 1: Retrieve Sources ---
+    // "and for staging?" alone retrieves nothing useful; search with the previous question too
+    const previousQuery = history.length ? history[history.length - 1].query : null;
+    const retrievalQuery = followUp && previousQuery ? `${previousQuery} ${userQuery}` : userQuery;
+    const { chunks, useSearchTool } = retrieveContext(retrievalQuery);
+    const conversation = history.length ? `CONVERSATION SO FAR:\n${formatHistory(history)}\n\n` : '';
+
+    // --- STEP 2 & 3: Combine, rank and fit connector results and documents into the token budget ---
+    const { included, report } = await assembleContext(contextItems(chunks, connectorResults, routingScores), {
+        query: userQuery,
+        reserved: estimateTokens(conversation) + estimateTokens(userQuery),
+    });
+    log.info("Context assembled", { usedTokens: report.usedTokens, budgetTokens: report.budgetTokens, included: included.length, items: report.items.length });
+
+    const sources = included.map((item, i) => (item.kind === "connector"
+        ? { ref: i + 1, kind: "connector", connector: item.connector, status: item.status }
+        : {
+            ref: i + 1,
+            kind: "document",
+            id: item.chunk.id,
+            sourceId: item.chunk.sourceId,
+            title: item.chunk.title,
+            path: item.chunk.path,
+            heading: item.chunk.heading,
+            score: item.chunk.score,
+        }));
+
+    if (included.length === 0) {
+        log.warn("No relevant documents or live data found, relying on general knowledge and the search tool");
+    }
 
-Generate your response now.
-    `;
+    // --- STEP 4: Augment the Prompt with the persona template ---
+    const template = selectPromptTemplate({ persona, connectors });
+    const finalPrompt = renderPromptTemplate(template, {
+        context: included.length
+            ? included.map((item, i) => formatItem(item, i + 1)).join("\n---\n")
+            : "No relevant documents or live data were found.",
+        query: userQuery,
+        sources: sources.length
+            ? sources.map((s) => `[${s.ref}] ${s.kind === "connector" ? `${s.connector} (live)` : s.title}`).join("\n")
+            : "None.",
+        conversation,
+        user_profile: formatUserProfile(loadUserProfile(userId)),
+    });
+    log.debug("Prompt template selected", { template: template.name });
 
     // --- STEP 5: Build Tool/Robustness Configuration ---
-    const tools = useSearchTool ? [{ google_search: {} }] : undefined;
+    // Default to Google Search if no specific context is found
+    const tools = useSearchTool || included.length === 0 ? [{ google_search: {} }] : undefined;
 
     return {
         finalPrompt,
-        tools
+        tools,
+        sources,
+        persona: template.name,
+        contextReport: report
     };
 }
 
-export { prepareContextualPrompt };
\ No newline at end of file
+export { prepareContextualPrompt };
@@ -0,0 +1,54 @@
+// createApiKey.js
+// Usage: node createApiKey.js --user alice [--scopes github_repo,google_calendar | "*" | "*,admin" | metrics] [--id alice-laptop]
+//                             [--rate 30] [--daily-requests 1000] [--daily-tokens 200000]
+//
+// Prints the new key once and stores only its hash in API_KEYS_PATH.
+import fs from "fs";
+import path from "path";
+import { generateApiKey, hashApiKey, readApiKeyFile } from "./apiKeys.js";
+
+const KEYS_PATH = process.env.API_KEYS_PATH || "./data/apiKeys.json";
+
+function parseArgs(argv) {
+  const options = { user: null, scopes: "*", id: null, rate: null, "daily-requests": null, "daily-tokens": null };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in options)) throw new Error(`Unknown option ${argv[i]}`);
+    options[key] = argv[++i];
+  }
+  if (!options.user) throw new Error("--user is required");
+  return options;
+}
+
+function optionalInteger(value, name) {
+  if (value === null) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) throw new Error(`--${name} must be a positive integer`);
+  return number;
+}
+
+try {
+  const options = parseArgs(process.argv.slice(2));
+  const keys = readApiKeyFile(KEYS_PATH);
+  const id = options.id || `${options.user}-${keys.length + 1}`;
+  if (keys.some((k) => k.id === id)) throw new Error(`A key with id "${id}" already exists`);
+
+  const key = generateApiKey();
+  keys.push({
+    id,
+    hash: hashApiKey(key),
+    user_id: options.user,
+    scopes: options.scopes.split(",").map((s) => s.trim()).filter(Boolean),
+    rate_limit_per_minute: optionalInteger(options.rate, "rate"),
+    daily_requests: optionalInteger(options["daily-requests"], "daily-requests"),
+    daily_llm_tokens: optionalInteger(options["daily-tokens"], "daily-tokens"),
+  });
+
+  fs.mkdirSync(path.dirname(KEYS_PATH), { recursive: true });
+  fs.writeFileSync(KEYS_PATH, JSON.stringify({ keys }, null, 2) + "\n", { mode: 0o600 });
+  console.log(`✅ Created key "${id}" for ${options.user} in ${KEYS_PATH}. Store it now, it is not shown again:`);
+  console.log(key);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+}
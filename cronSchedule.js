@@ -0,0 +1,119 @@
+// cronSchedule.js
+// Five-field cron expressions ("minute hour day-of-month month day-of-week") evaluated in a timezone.
+//
+// Fields take *, lists (1,15), ranges (1-5), steps (*/15, 8-18/2) and names (JAN-DEC, SUN-SAT; 7 is
+// also Sunday). Macros: @hourly, @daily (@midnight), @weekdays, @weekly, @monthly, @yearly (@annually).
+// As in classic cron, when both day-of-month and day-of-week are restricted a day matching either runs.
+import { getZonedParts, zonedTimeToDate } from "./timeUtils.js";
+
+const MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekdays": "0 0 * * 1-5",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+};
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+  { name: "day of week", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] },
+];
+
+// How far ahead to look for the next run; Feb 29 ("0 0 29 2 *") needs up to four years
+const MAX_SEARCH_DAYS = 5 * 366;
+
+function parseValue(text, field) {
+  const named = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  if (named !== -1) return named + (field.name === "month" ? 1 : 0);
+  if (!/^\d+$/.test(text)) throw new Error(`"${text}" is not a valid ${field.name}`);
+  const value = Number(text);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} ${value} is out of range ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [rangeText, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`"${part}" has an invalid step`);
+
+    let from = field.min;
+    let to = field.max;
+    if (rangeText !== "*") {
+      const [a, b] = rangeText.split("-");
+      from = parseValue(a, field);
+      to = b === undefined ? (stepText === undefined ? from : field.max) : parseValue(b, field);
+      if (to < from) throw new Error(`"${part}" is an empty range`);
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse an expression into sets of allowed values. Throws with a readable message when invalid.
+ */
+export function parseCron(expression) {
+  const text = String(expression || "").trim();
+  const expanded = MACROS[text.toLowerCase()] || text;
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Cron expression "${text}" must have 5 fields or be one of ${Object.keys(MACROS).join(", ")}`);
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  if (weekdays.delete(7)) weekdays.add(0);
+  return {
+    expression: text,
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    days,
+    months,
+    weekdays,
+    anyDay: parts[2] === "*",
+    anyWeekday: parts[4] === "*",
+  };
+}
+
+function dayMatches(cron, { month, day, weekday }) {
+  if (!cron.months.has(month)) return false;
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return cron.weekdays.has(weekday);
+  if (cron.anyWeekday) return cron.days.has(day);
+  return cron.days.has(day) || cron.weekdays.has(weekday);
+}
+
+/**
+ * First instant strictly after `after` at which the expression fires in `timeZone`, or null when it
+ * never does within MAX_SEARCH_DAYS. Wall-clock times skipped by a DST change do not fire.
+ */
+export function nextCronRun(expression, after, timeZone) {
+  const cron = typeof expression === "string" ? parseCron(expression) : expression;
+  const start = getZonedParts(after, timeZone);
+
+  for (let offset = 0; offset <= MAX_SEARCH_DAYS; offset++) {
+    // Calendar arithmetic in UTC gives the local date `offset` days ahead and its weekday
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+    const local = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), weekday: date.getUTCDay() };
+    if (!dayMatches(cron, local)) continue;
+
+    for (const hour of cron.hours) {
+      if (offset === 0 && hour < start.hour) continue;
+      for (const minute of cron.minutes) {
+        if (offset === 0 && hour === start.hour && minute < start.minute) continue;
+        const instant = zonedTimeToDate({ ...local, hour, minute }, timeZone);
+        if (instant <= after) continue;
+        const shown = getZonedParts(instant, timeZone);
+        if (shown.hour === hour && shown.minute === minute) return instant;
+      }
+    }
+  }
+  return null;
+}
@@ -0,0 +1,65 @@
+// digestRoutes.js
+// Manage scheduled digests: create, list, edit, delete and run them on demand.
+import express from "express";
+import { listDigests, getDigest, createDigest, updateDigest, deleteDigest, runDigest } from "./digestScheduler.js";
+import { requireAuth, requestUser, hasScope, ADMIN_SCOPE } from "./apiKeys.js";
+
+// Other users' digests look the same as missing ones, except to admin keys
+function findDigest(req) {
+  const digest = getDigest(req.params.id);
+  if (!digest || !req.auth || hasScope(req.auth, ADMIN_SCOPE)) return digest;
+  return digest.user_id === req.auth.userId ? digest : null;
+}
+
+const notFound = (req, res) => res.status(404).json({ error: `Unknown digest ${req.params.id}` });
+
+export function createDigestRouter() {
+  const router = express.Router();
+  router.use("/digests", requireAuth());
+
+  // Non-admin keys list their own user's digests; admin keys see everyone's or filter with ?user_id=
+  router.get("/digests", (req, res) => {
+    let userId = req.query.user_id || null;
+    if (req.auth && !hasScope(req.auth, ADMIN_SCOPE)) {
+      userId = requestUser(req, res, req.query.user_id);
+      if (!userId) return;
+    }
+    res.json({ digests: listDigests(userId) });
+  });
+
+  router.post("/digests", (req, res) => {
+    const userId = requestUser(req, res, req.body.user_id);
+    if (!userId) return;
+    const { digest, errors } = createDigest(req.body, { userId, keyId: req.auth ? req.auth.keyId : null });
+    if (errors) return res.status(400).json({ error: "Invalid digest", errors });
+    res.status(201).json(digest);
+  });
+
+  router.get("/digests/:id", (req, res) => {
+    const digest = findDigest(req);
+    if (!digest) return notFound(req, res);
+    res.json(digest);
+  });
+
+  router.patch("/digests/:id", (req, res) => {
+    if (!findDigest(req)) return notFound(req, res);
+    const { digest, errors } = updateDigest(req.params.id, req.body);
+    if (errors) return res.status(400).json({ error: "Invalid digest", errors });
+    res.json(digest);
+  });
+
+  router.delete("/digests/:id", (req, res) => {
+    if (!findDigest(req) || !deleteDigest(req.params.id)) return notFound(req, res);
+    res.json({ digest_id: req.params.id, deleted: true });
+  });
+
+  // Run now; { "deliver": false } only returns the digest (a preview that leaves last_run alone).
+  // Failures are reported in `status` / `error`, like partial connector results
+  router.post("/digests/:id/run", async (req, res) => {
+    const digest = findDigest(req);
+    if (!digest) return notFound(req, res);
+    res.json(await runDigest(digest, { deliver: !(req.body && req.body.deliver === false) }));
+  });
+
+  return router;
+}
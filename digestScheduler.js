@@ -0,0 +1,489 @@
+// digestScheduler.js
+// Saved queries run on a cron schedule per user and delivered as one digest to a webhook or a file.
+//
+// Schedules persist in DIGESTS_PATH (default ./data/digests.json) and are managed through /digests
+// (digestRoutes.js):
+// {
+//   "id": "…", "name": "Morning briefing", "user_id": "alice", "key_id": "alice-laptop",
+//   "cron": "0 8 * * 1-5", "timezone": "Europe/Berlin",
+//   "sections": [{ "title": "Meetings", "query": "my meetings today" }, ...],
+//   "mode": "package",                                   // "answer" adds an LLM-written briefing
+//   "delivery": { "type": "webhook", "url": "https://…" } | { "type": "file", "format": "markdown" | "json" },
+//   "enabled": true, "next_run": "…", "last_run": { "at", "trigger", "status", "error", "delivered_to", "duration_ms" }
+// }
+// A run uses the creating key's current scopes and LLM quota; once that key is removed or disabled
+// its runs fail.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import net from "net";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import { defaultTimeZone, formatZonedDay, formatZonedTime } from "./timeUtils.js";
+import { parseCron, nextCronRun } from "./cronSchedule.js";
+import { analyzeIntent } from "./intentAnalyzer.js";
+import { fetchConnector } from "./connectorRegistry.js";
+import { runResilient } from "./connectorResilience.js";
+import { callLLMApi } from "./llmClient.js";
+import { authForKey, filterConnectorsByScope } from "./apiKeys.js";
+import { checkLlmBudget } from "./usageLimits.js";
+import { createLogger, runWithRequestContext, getRequestContext } from "./logger.js";
+import { withSpan } from "./tracing.js";
+import { digestRuns } from "./metrics.js";
+
+const log = createLogger("digests");
+
+const DIGESTS_PATH = process.env.DIGESTS_PATH || "./data/digests.json";
+const DIGEST_DIR = process.env.DIGEST_DIR || "./data/digests";
+const TICK_MS = Number(process.env.DIGEST_TICK_MS) || 30 * 1000;
+const CATCH_UP_MS = Number(process.env.DIGEST_CATCH_UP_MS) || 15 * 60 * 1000;
+const MAX_PER_USER = Number(process.env.DIGEST_MAX_PER_USER) || 20;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.DIGEST_WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+const WEBHOOK_SECRET = process.env.DIGEST_WEBHOOK_SECRET || null;
+// When set, webhooks may only point at these hosts; otherwise they may not reach private addresses
+const WEBHOOK_HOSTS = (process.env.DIGEST_WEBHOOK_HOSTS || "")
+  .split(",")
+  .map((h) => h.trim().toLowerCase())
+  .filter(Boolean);
+
+// Loopback, private, shared, link-local (cloud metadata), benchmarking, multicast, reserved and unspecified ranges
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  PRIVATE_NETWORKS.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  PRIVATE_NETWORKS.addSubnet(address, prefix, "ipv6");
+}
+
+const MAX_SECTIONS = 10;
+const DIGEST_MODES = ["package", "answer"];
+const FILE_FORMATS = ["markdown", "json"];
+const EDITABLE_FIELDS = ["name", "cron", "timezone", "sections", "mode", "delivery", "enabled"];
+
+let digests = null; // id → schedule
+let timer = null;
+let ticking = false;
+
+// --------------------------------------------------
+// Storage
+// --------------------------------------------------
+function load() {
+  if (digests) return digests;
+  try {
+    const raw = JSON.parse(fs.readFileSync(DIGESTS_PATH, "utf8"));
+    digests = new Map((raw.digests || []).map((d) => [d.id, d]));
+  } catch (err) {
+    if (err.code !== "ENOENT") throw new Error(`Could not read digest schedules from ${DIGESTS_PATH}: ${err.message}`);
+    digests = new Map();
+  }
+  return digests;
+}
+
+function persist() {
+  // Write then rename so a crash never leaves a half-written file
+  fs.mkdirSync(path.dirname(DIGESTS_PATH), { recursive: true });
+  const tmp = `${DIGESTS_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ digests: [...load().values()] }, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, DIGESTS_PATH);
+}
+
+function scheduleNext(digest, after = new Date()) {
+  if (!digest.enabled) return null;
+  const next = nextCronRun(digest.cron, after, digest.timezone);
+  return next ? next.toISOString() : null;
+}
+
+// --------------------------------------------------
+// Validation
+// --------------------------------------------------
+function validTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return PRIVATE_NETWORKS.check(mapped[1], "ipv4");
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_NETWORKS.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+// URL hostnames keep the brackets around IPv6 literals
+function isPrivateHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  return host === "localhost" || host.endsWith(".localhost") || isPrivateAddress(host);
+}
+
+/**
+ * `lookup` for webhook connections without DIGEST_WEBHOOK_HOSTS: the addresses checked are the ones
+ * connected to, so a DNS answer cannot change between the check and the POST.
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some((a) => isPrivateAddress(a.address))) {
+      const blocked = new Error(`Webhook host ${hostname} resolves to a private address; list it in DIGEST_WEBHOOK_HOSTS to allow it`);
+      blocked.code = "EPRIVATEADDRESS";
+      return callback(blocked);
+    }
+    callback(null, address, family);
+  });
+}
+
+function validateDelivery(delivery, errors) {
+  if (!delivery || typeof delivery !== "object") return errors.push('delivery must be { "type": "webhook", "url" } or { "type": "file" }');
+  if (delivery.type === "file") {
+    if (delivery.format !== undefined && !FILE_FORMATS.includes(delivery.format)) {
+      errors.push(`delivery.format must be one of ${FILE_FORMATS.join(", ")}`);
+    }
+    return;
+  }
+  if (delivery.type !== "webhook") return errors.push('delivery.type must be "webhook" or "file"');
+
+  let url;
+  try {
+    url = new URL(delivery.url);
+  } catch {
+    return errors.push("delivery.url must be an absolute http(s) URL");
+  }
+  if (!["http:", "https:"].includes(url.protocol)) errors.push("delivery.url must be an absolute http(s) URL");
+  else if (WEBHOOK_HOSTS.length && !WEBHOOK_HOSTS.includes(url.hostname.toLowerCase())) {
+    errors.push(`delivery.url host must be one of ${WEBHOOK_HOSTS.join(", ")}`);
+  } else if (!WEBHOOK_HOSTS.length && isPrivateHost(url.hostname)) {
+    errors.push("delivery.url may not point at a private or loopback address unless DIGEST_WEBHOOK_HOSTS lists it");
+  }
+}
+
+// Sections may be plain query strings; each becomes { title, query }
+function normalizeSections(sections, errors) {
+  if (!Array.isArray(sections) || !sections.length || sections.length > MAX_SECTIONS) {
+    errors.push(`sections must be a list of 1-${MAX_SECTIONS} queries`);
+    return sections;
+  }
+  return sections.map((section, i) => {
+    const entry = typeof section === "string" ? { query: section } : section || {};
+    if (typeof entry.query !== "string" || !entry.query.trim()) errors.push(`sections[${i}].query is required`);
+    if (entry.title !== undefined && typeof entry.title !== "string") errors.push(`sections[${i}].title must be a string`);
+    return { title: entry.title || entry.query, query: entry.query };
+  });
+}
+
+/**
+ * Check a schedule definition. For updates, fields missing from `input` keep their `existing` values.
+ * Returns { fields } (normalized) or { errors }.
+ */
+export function validateDigest(input, existing = null) {
+  const errors = [];
+  if (!input || typeof input !== "object") return { errors: ["Body must be a JSON object"] };
+  for (const field of Object.keys(input)) {
+    if (!EDITABLE_FIELDS.includes(field) && !(field === "user_id" && !existing)) errors.push(`${field} is not an editable field`);
+  }
+
+  const base = existing
+    ? Object.fromEntries(EDITABLE_FIELDS.map((f) => [f, existing[f]]))
+    : { timezone: defaultTimeZone(), mode: "package", enabled: true };
+  const fields = { ...base, ...Object.fromEntries(EDITABLE_FIELDS.filter((f) => input[f] !== undefined).map((f) => [f, input[f]])) };
+
+  if (typeof fields.name !== "string" || !fields.name.trim()) errors.push("name is required");
+  const knownZone = typeof fields.timezone === "string" && validTimeZone(fields.timezone);
+  if (!knownZone) errors.push(`timezone "${fields.timezone}" is not a known IANA timezone`);
+  try {
+    const cron = parseCron(fields.cron);
+    // "0 0 31 2 *" parses but never fires, and would sit with next_run null forever
+    if (knownZone && !nextCronRun(cron, new Date(), fields.timezone)) errors.push(`cron: "${fields.cron}" never fires`);
+  } catch (err) {
+    errors.push(`cron: ${err.message}`);
+  }
+  fields.sections = normalizeSections(fields.sections, errors);
+  if (!DIGEST_MODES.includes(fields.mode)) errors.push(`mode must be one of ${DIGEST_MODES.join(", ")}`);
+  validateDelivery(fields.delivery, errors);
+  if (typeof fields.enabled !== "boolean") errors.push("enabled must be true or false");
+
+  return errors.length ? { errors } : { fields };
+}
+
+// --------------------------------------------------
+// Schedules
+// --------------------------------------------------
+export function listDigests(userId = null) {
+  return [...load().values()].filter((d) => !userId || d.user_id === userId);
+}
+
+export function getDigest(id) {
+  return load().get(id) || null;
+}
+
+/**
+ * Save a new schedule for `userId`, run with `keyId`'s scopes. Returns { digest } or { errors }.
+ */
+export function createDigest(input, { userId, keyId = null }) {
+  const { fields, errors } = validateDigest(input);
+  if (errors) return { errors };
+  if (listDigests(userId).length >= MAX_PER_USER) return { errors: [`User ${userId} already has ${MAX_PER_USER} digests`] };
+
+  const now = new Date().toISOString();
+  const digest = { id: crypto.randomUUID(), user_id: userId, key_id: keyId, ...fields, created_at: now, updated_at: now, last_run: null };
+  digest.next_run = scheduleNext(digest);
+  load().set(digest.id, digest);
+  persist();
+  return { digest };
+}
+
+export function updateDigest(id, input) {
+  const existing = getDigest(id);
+  if (!existing) return { errors: [`Unknown digest ${id}`] };
+  const { fields, errors } = validateDigest(input, existing);
+  if (errors) return { errors };
+
+  const digest = { ...existing, ...fields, updated_at: new Date().toISOString() };
+  digest.next_run = scheduleNext(digest);
+  load().set(id, digest);
+  persist();
+  return { digest };
+}
+
+export function deleteDigest(id) {
+  const removed = load().delete(id);
+  if (removed) persist();
+  return removed;
+}
+
+// --------------------------------------------------
+// Building and delivering a digest
+// --------------------------------------------------
+async function runSection(section, digest, auth) {
+  // "today" in a section means the digest's day, not the server's
+  const intent = await withSpan("intent", () => analyzeIntent(section.query, { timeZone: digest.timezone }));
+  const { allowed, denied } = filterConnectorsByScope(auth, intent.connectors);
+  const results = await Promise.all(
+    allowed.map((conn) => fetchConnector(conn, digest.user_id, section.query, intent.timeRange, { entities: intent.entities }))
+  );
+  return {
+    title: section.title,
+    query: section.query,
+    connectors: allowed,
+    denied_connectors: denied,
+    time_range: intent.timeRange,
+    sources: results.map(({ connector, status, summary, error }) => ({ connector, status, summary, error })),
+  };
+}
+
+// An LLM-written overview on top of the sections; the digest still goes out without it on failure
+async function writeBriefing(digest, sections, auth) {
+  const budget = checkLlmBudget(auth);
+  if (!budget.ok) {
+    log.warn("Digest sent without a briefing", { digestId: digest.id, reason: budget.error });
+    return null;
+  }
+  const finalPrompt = [
+    `Write the "${digest.name}" briefing. Lead with what needs attention, keep each topic to a few lines and say when a source failed to load.`,
+    ...sections.map((s) => `## ${s.title}\n${s.sources.map((r) => `- ${r.connector}: ${r.summary}`).join("\n") || "- No data"}`),
+  ].join("\n\n");
+
+  try {
+    const result = await callLLMApi({ finalPrompt, user_id: digest.user_id });
+    return result.llm_response_text;
+  } catch (err) {
+    log.warn("Digest sent without a briefing", { digestId: digest.id, err });
+    return null;
+  }
+}
+
+async function buildDigest(digest, auth) {
+  const sections = await Promise.all(digest.sections.map((section) => runSection(section, digest, auth)));
+  return {
+    digest_id: digest.id,
+    name: digest.name,
+    user_id: digest.user_id,
+    generated_at: new Date().toISOString(),
+    timezone: digest.timezone,
+    briefing: digest.mode === "answer" ? await writeBriefing(digest, sections, auth) : null,
+    partial: sections.some((s) => s.sources.some((r) => r.status !== "ok")),
+    sections,
+  };
+}
+
+export function formatDigestMarkdown(result) {
+  const generated = new Date(result.generated_at);
+  const lines = [
+    `# ${result.name}`,
+    `_${formatZonedDay(generated, result.timezone)} ${formatZonedTime(generated, result.timezone)} (${result.timezone})_`,
+    "",
+  ];
+  if (result.briefing) lines.push(result.briefing.trim(), "");
+  for (const section of result.sections) {
+    lines.push(`## ${section.title}`);
+    for (const source of section.sources) lines.push(`- **${source.connector}**: ${source.summary}`);
+    if (section.denied_connectors.length) lines.push(`- _Not covered by this key: ${section.denied_connectors.join(", ")}_`);
+    if (!section.sources.length && !section.denied_connectors.length) lines.push("- _No data source matched this query._");
+    lines.push("");
+  }
+  return lines.join("\n");
+}
+
+/**
+ * POST the digest. Redirects are not followed (they could lead past DIGEST_WEBHOOK_HOSTS) and count as failures.
+ * `idempotencyKey` is the same for every attempt of one run, so a receiver can drop a retried delivery
+ * it already processed.
+ */
+function postWebhook(url, body, idempotencyKey, signal) {
+  const headers = {
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(body),
+    "Idempotency-Key": idempotencyKey,
+  };
+  if (WEBHOOK_SECRET) {
+    headers["X-Digest-Signature"] = `sha256=${crypto.createHmac("sha256", WEBHOOK_SECRET).update(body).digest("hex")}`;
+  }
+  const target = new URL(url);
+  const client = target.protocol === "https:" ? https : http;
+  const lookup = WEBHOOK_HOSTS.length ? undefined : publicLookup;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, { method: "POST", headers, signal, lookup }, (response) => {
+      response.resume();
+      response.on("end", () => {
+        if (response.statusCode >= 200 && response.statusCode < 300) return resolve();
+        const err = new Error(`Webhook answered ${response.statusCode} ${response.statusMessage}`);
+        err.status = response.statusCode;
+        err.response = { status: response.statusCode, headers: response.headers };
+        reject(err);
+      });
+    });
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+// Returns where the digest went: the file written, or the webhook host (its URL may embed a secret)
+async function deliver(digest, result) {
+  const text = formatDigestMarkdown(result);
+
+  if (digest.delivery.type === "file") {
+    const json = digest.delivery.format === "json";
+    const file = path.join(DIGEST_DIR, digest.id, `${result.generated_at.replace(/[:.]/g, "-")}.${json ? "json" : "md"}`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, json ? JSON.stringify({ ...result, text }, null, 2) : text, { mode: 0o600 });
+    return file;
+  }
+
+  // `text` lets chat webhooks (Slack, Mattermost, ...) show the digest as is
+  const body = JSON.stringify({ text, ...result });
+  const { host, hostname } = new URL(digest.delivery.url);
+  // Literal addresses never go through lookup; names are checked by publicLookup as they are connected to
+  if (!WEBHOOK_HOSTS.length && isPrivateHost(hostname)) {
+    throw new Error(`Webhook host ${hostname} is a private address; list it in DIGEST_WEBHOOK_HOSTS to allow it`);
+  }
+  const idempotencyKey = `${digest.id}:${result.generated_at}`;
+  const outcome = await runResilient(
+    `webhook:${host}`,
+    (signal) => postWebhook(digest.delivery.url, body, idempotencyKey, signal),
+    { timeoutMs: WEBHOOK_TIMEOUT_MS }
+  );
+  if (outcome.status !== "ok") throw new Error(`Webhook delivery to ${host} failed (${outcome.error.code}): ${outcome.error.message}`);
+  return `webhook ${host}`;
+}
+
+/**
+ * Build the digest now and deliver it (or only return it with `deliver: false`). Never throws;
+ * resolves with the run summary ({ at, trigger, status, error, delivered_to, duration_ms }) and `digest`.
+ * Delivered runs are recorded as the schedule's `last_run`.
+ */
+export async function runDigest(digest, { deliver: send = true, trigger = "manual" } = {}) {
+  const started = Date.now();
+  let result = null;
+  let deliveredTo = null;
+  let error = null;
+  try {
+    const { auth, error: keyError } = authForKey(digest.key_id);
+    if (keyError) throw new Error(keyError);
+    // LLM calls (section intents, the briefing) are charged to the digest's key, not the caller's
+    const context = { requestId: crypto.randomUUID(), spans: [], ...getRequestContext(), auth };
+    result = await runWithRequestContext(context, () => buildDigest(digest, auth));
+    if (send) deliveredTo = await deliver(digest, result);
+  } catch (err) {
+    error = err.message;
+  }
+
+  const status = error ? "error" : result.partial ? "partial" : "ok";
+  const run = { at: new Date(started).toISOString(), trigger, status, error, delivered_to: deliveredTo, duration_ms: Date.now() - started };
+  digestRuns.inc({ trigger, status });
+
+  // The schedule may have been edited or deleted meanwhile
+  const current = getDigest(digest.id);
+  if (send && current) {
+    current.last_run = run;
+    persist();
+  }
+  const fields = { digestId: digest.id, trigger, status, deliveredTo, durationMs: run.duration_ms };
+  if (error) log.warn("Digest run failed", { ...fields, error });
+  else log.info("Digest run finished", fields);
+  return { ...run, digest: result };
+}
+
+// --------------------------------------------------
+// Scheduler
+// --------------------------------------------------
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    const now = Date.now();
+    const due = listDigests().filter((d) => d.enabled && d.next_run && Date.parse(d.next_run) <= now);
+    for (const digest of due) {
+      await runWithRequestContext({ requestId: crypto.randomUUID(), spans: [] }, () => runDigest(digest, { trigger: "schedule" }));
+      const current = getDigest(digest.id);
+      if (current) {
+        current.next_run = scheduleNext(current);
+        persist();
+      }
+    }
+  } catch (err) {
+    log.error("Digest scheduler tick failed", { err });
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Load the schedules and run due digests every DIGEST_TICK_MS. A run missed while the server was down
+ * is made up once if it is less than DIGEST_CATCH_UP_MS late, and skipped otherwise.
+ */
+export function startDigestScheduler({ tickMs = TICK_MS } = {}) {
+  const now = Date.now();
+  for (const digest of load().values()) {
+    if (!digest.enabled || (digest.next_run && Date.parse(digest.next_run) >= now - CATCH_UP_MS)) continue;
+    if (digest.next_run) log.warn("Skipping missed digest run", { digestId: digest.id, missed: digest.next_run });
+    digest.next_run = scheduleNext(digest);
+  }
+  if (digests.size) persist();
+
+  if (!timer) {
+    timer = setInterval(tick, tickMs);
+    timer.unref(); // never keeps the process alive on its own
+  }
+  log.info("Digest scheduler started", { digests: digests.size, tickMs });
+  tick();
+}
+
+export function stopDigestScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
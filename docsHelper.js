@@ -0,0 +1,366 @@
+// docsHelper.js
+// Notes and decision records for the notion_docs connector: a local markdown / Notion-export folder
+// by default, or the Notion API behind the same backend interface ({ name, listDocuments, healthCheck }).
+import fs from "fs";
+import path from "path";
+import { tokenize } from "./documentIndex.js";
+import { termRegex } from "./intentRules.js";
+
+const DOCS_DIR = process.env.DOCS_DIR || "./notes";
+const DOC_EXTENSIONS = [".md", ".markdown"];
+const MAX_RESULTS = Number(process.env.DOCS_MAX_RESULTS) || 5;
+const EXCERPT_CHARS = 280;
+const NOTION_VERSION = "2022-06-28";
+
+const DECISION_HEADING_RE = /\b(decision|decisions|decided|outcome|resolution|agreed)\b/i;
+const DECISION_LINE_RE = /^\s*(?:[-*]\s*)?(?:\*\*)?(?:decision|decided)(?:\*\*)?\s*:\s*(.+)$/i;
+const DECISION_QUERY_RE = /\b(decide|decided|decision|decisions|agree|agreed|conclude|concluded|outcome)\b/i;
+// Words that say "look in the notes" rather than what the notes should be about
+const QUERY_NOISE = new Set(tokenize("decide decided decision decisions agree agreed note notes document documents doc docs project projects summary meeting meetings we did our latest recent about"));
+
+// --------------------------------------------------
+// Parsing: front-matter or Notion-export properties, then sections by heading
+// --------------------------------------------------
+function parseValue(value) {
+  const list = /^\[(.*)\]$/.exec(value);
+  return list ? list[1].split(",").map((v) => v.trim().replace(/^["']|["']$/g, "")).filter(Boolean) : value.replace(/^["']|["']$/g, "");
+}
+
+// YAML-style `---` block (key: value, key: [a, b], or "- item" lists)
+function parseFrontMatter(text) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+  if (!match) return { properties: {}, body: text };
+
+  const properties = {};
+  let listKey = null;
+  for (const line of match[1].split(/\r?\n/)) {
+    const item = /^\s+-\s+(.*)$/.exec(line) || /^-\s+(.*)$/.exec(line);
+    if (item && listKey) {
+      properties[listKey].push(parseValue(item[1].trim()));
+      continue;
+    }
+    const field = /^([\w -]+):\s*(.*)$/.exec(line);
+    if (!field) continue;
+    const key = field[1].trim().toLowerCase();
+    listKey = field[2].trim() ? null : key;
+    properties[key] = field[2].trim() ? parseValue(field[2].trim()) : [];
+  }
+  return { properties, body: text.slice(match[0].length) };
+}
+
+// Notion markdown exports put "Key: Value" lines right under the title instead; they are cut from the body
+function parseNotionProperties(body) {
+  const lines = body.split(/\r?\n/);
+  const titleLine = lines.findIndex((l) => l.trim());
+  if (titleLine < 0 || !/^#\s+/.test(lines[titleLine])) return { properties: {}, body };
+
+  const properties = {};
+  let end = titleLine + 1;
+  for (let i = titleLine + 1; i < lines.length; i++) {
+    if (!lines[i].trim()) {
+      if (Object.keys(properties).length) break;
+      continue;
+    }
+    const field = /^([A-Z][\w ]{0,30}):\s+(.+)$/.exec(lines[i]);
+    if (!field) break;
+    properties[field[1].trim().toLowerCase()] = field[2].trim();
+    end = i + 1;
+  }
+  return { properties, body: [...lines.slice(0, titleLine + 1), ...lines.slice(end)].join("\n") };
+}
+
+function asList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(",")).map((v) => String(v).trim()).filter(Boolean);
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Split markdown into sections by heading. "Decision: ..." lines inside other sections are also
+ * extracted as decision sections of their own (`extracted: true`).
+ */
+export function splitSections(body) {
+  const sections = [];
+  let current = { heading: null, lines: [] };
+  const flush = () => {
+    const text = current.lines.join("\n").trim();
+    if (text) sections.push({ heading: current.heading, text, decision: DECISION_HEADING_RE.test(current.heading || "") });
+  };
+
+  for (const line of body.split(/\r?\n/)) {
+    const heading = /^#{1,6}\s+(.*)$/.exec(line);
+    if (heading) {
+      flush();
+      current = { heading: heading[1].trim(), lines: [] };
+      continue;
+    }
+    const decision = DECISION_LINE_RE.exec(line);
+    if (decision && !DECISION_HEADING_RE.test(current.heading || "")) {
+      sections.push({ heading: current.heading, text: decision[1].trim(), decision: true, extracted: true });
+    }
+    current.lines.push(line);
+  }
+  flush();
+  return sections;
+}
+
+/**
+ * Parse a markdown note into { id, title, path, date, project, tags, sections }.
+ * `fallbackDate` (e.g. the file's mtime) is used when the note has no date property.
+ */
+export function parseDocument(text, { id, path: docPath, fallbackDate = null }) {
+  const { properties: frontMatter, body: afterFrontMatter } = parseFrontMatter(text);
+  const { properties: notionProperties, body } = parseNotionProperties(afterFrontMatter);
+  const properties = { ...notionProperties, ...frontMatter };
+  const titleHeading = /^#\s+(.+)$/m.exec(body);
+
+  return {
+    id,
+    title: properties.title || (titleHeading ? titleHeading[1].trim() : id),
+    path: docPath,
+    date: parseDate(properties.date || properties.created || properties["last edited"]) || fallbackDate,
+    project: properties.project ? String(properties.project) : null,
+    tags: asList(properties.tags),
+    sections: splitSections(body),
+  };
+}
+
+// --------------------------------------------------
+// Local folder backend
+// --------------------------------------------------
+function listMarkdownFiles(dir) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) return listMarkdownFiles(full);
+    return DOC_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [full] : [];
+  });
+}
+
+export function createLocalDocsBackend({ dir = DOCS_DIR } = {}) {
+  const parsed = new Map(); // file → { mtimeMs, doc }, re-parsed when the file changes
+
+  return {
+    name: "local",
+    async listDocuments() {
+      const files = listMarkdownFiles(dir);
+      for (const file of parsed.keys()) if (!files.includes(file)) parsed.delete(file);
+
+      return files.map((file) => {
+        const { mtimeMs, mtime } = fs.statSync(file);
+        const cached = parsed.get(file);
+        if (cached && cached.mtimeMs === mtimeMs) return cached.doc;
+        const relative = path.relative(dir, file);
+        const doc = parseDocument(fs.readFileSync(file, "utf8"), {
+          id: relative,
+          path: file,
+          fallbackDate: mtime.toISOString(),
+        });
+        parsed.set(file, { mtimeMs, doc });
+        return doc;
+      });
+    },
+    async healthCheck() {
+      if (!fs.existsSync(dir)) return { ok: false, detail: `Notes folder ${dir} does not exist` };
+      return { ok: true, detail: `${listMarkdownFiles(dir).length} notes in ${dir}` };
+    },
+  };
+}
+
+// --------------------------------------------------
+// Notion API backend (NOTION_API_URL points it at a local mock)
+// --------------------------------------------------
+const plainText = (richText = []) => richText.map((t) => t.plain_text).join("");
+
+// Blocks → markdown lines, so Notion pages go through the same section parser as local notes
+function blockToMarkdown(block) {
+  const content = block[block.type] || {};
+  const text = plainText(content.rich_text);
+  switch (block.type) {
+    case "heading_1":
+      return `# ${text}`;
+    case "heading_2":
+      return `## ${text}`;
+    case "heading_3":
+      return `### ${text}`;
+    case "bulleted_list_item":
+    case "numbered_list_item":
+      return `- ${text}`;
+    case "to_do":
+      return `- [${content.checked ? "x" : " "}] ${text}`;
+    default:
+      return text;
+  }
+}
+
+function pageProperties(page) {
+  const result = { title: null, date: null, project: null, tags: [] };
+  for (const [name, property] of Object.entries(page.properties || {})) {
+    const key = name.toLowerCase();
+    if (property.type === "title") result.title = plainText(property.title);
+    else if (property.type === "date" && property.date && !result.date) result.date = parseDate(property.date.start);
+    else if (key === "project" && property.type === "select" && property.select) result.project = property.select.name;
+    else if (key === "project" && property.type === "rich_text") result.project = plainText(property.rich_text) || null;
+    else if (key === "tags" && property.type === "multi_select") result.tags = property.multi_select.map((t) => t.name);
+  }
+  return result;
+}
+
+export function createNotionBackend({
+  token = process.env.NOTION_TOKEN,
+  baseUrl = process.env.NOTION_API_URL || "https://api.notion.com",
+  maxPages = Number(process.env.NOTION_MAX_PAGES) || 20,
+} = {}) {
+  async function request(method, route, body, signal) {
+    if (!token) throw new Error("NOTION_TOKEN is not set");
+    const response = await fetch(`${baseUrl.replace(/\/$/, "")}/v1${route}`, {
+      method,
+      signal,
+      headers: { Authorization: `Bearer ${token}`, "Notion-Version": NOTION_VERSION, "Content-Type": "application/json" },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!response.ok) {
+      // Shaped like the SDK errors classifyError understands (status, retry-after)
+      const err = new Error(`Notion API ${method} ${route} failed with ${response.status}`);
+      err.status = response.status;
+      err.response = { status: response.status, headers: Object.fromEntries(response.headers) };
+      throw err;
+    }
+    return response.json();
+  }
+
+  return {
+    name: "notion",
+    async listDocuments({ signal } = {}) {
+      const search = await request(
+        "POST",
+        "/search",
+        {
+          filter: { property: "object", value: "page" },
+          sort: { direction: "descending", timestamp: "last_edited_time" },
+          page_size: maxPages,
+        },
+        signal
+      );
+
+      return Promise.all(
+        search.results.map(async (page) => {
+          const blocks = await request("GET", `/blocks/${page.id}/children?page_size=100`, null, signal);
+          const properties = pageProperties(page);
+          return {
+            id: page.id,
+            title: properties.title || page.id,
+            path: page.url || null,
+            date: properties.date || parseDate(page.last_edited_time),
+            project: properties.project,
+            tags: properties.tags,
+            sections: splitSections(blocks.results.map(blockToMarkdown).join("\n")),
+          };
+        })
+      );
+    },
+    async healthCheck({ signal } = {}) {
+      if (!token) return { ok: false, detail: "NOTION_TOKEN is not set" };
+      await request("GET", "/users/me", undefined, signal);
+      return { ok: true, detail: `Notion API reachable at ${baseUrl}` };
+    },
+  };
+}
+
+/**
+ * Backend named by DOCS_BACKEND: "local" (default) or "notion".
+ */
+export function createDocsBackend(options = {}) {
+  const name = options.backend || process.env.DOCS_BACKEND || "local";
+  if (name === "notion") return createNotionBackend(options);
+  if (name === "local") return createLocalDocsBackend(options);
+  throw new Error(`Unknown DOCS_BACKEND "${name}" (expected local or notion)`);
+}
+
+// --------------------------------------------------
+// Search
+// --------------------------------------------------
+function excerpt(text, terms) {
+  const flat = text.replace(/\s+/g, " ").trim();
+  if (flat.length <= EXCERPT_CHARS) return flat;
+  const lower = flat.toLowerCase();
+  const hit = Math.min(...terms.map((t) => lower.indexOf(t)).filter((i) => i >= 0), flat.length);
+  const start = hit === flat.length ? 0 : Math.max(0, hit - 60);
+  return `${start > 0 ? "…" : ""}${flat.slice(start, start + EXCERPT_CHARS).trim()}…`;
+}
+
+function inRange(doc, timeRange) {
+  if (!timeRange) return true;
+  if (!doc.date) return false;
+  const time = new Date(doc.date).getTime();
+  return time >= new Date(timeRange.start).getTime() && time < new Date(timeRange.end).getTime();
+}
+
+// Project named in the query (or carried over from the session) among the projects the notes use
+function detectProject(query, docs, hint) {
+  const projects = [...new Set(docs.map((d) => d.project).filter(Boolean))];
+  if (hint) return projects.find((p) => p.toLowerCase() === hint.toLowerCase()) || null;
+  return projects.find((p) => termRegex(p).test(query)) || null;
+}
+
+/**
+ * Rank note sections against the query. "What did we decide about X" searches decision sections only;
+ * notes are filtered by `timeRange` (note date) and by project when one is named.
+ * Returns { decisionsOnly, project, topic, matches: [{ title, path, date, project, tags, section, excerpt, score }] }.
+ */
+export function searchDocuments(docs, query, { timeRange = null, projectHint = null } = {}) {
+  const decisionsOnly = DECISION_QUERY_RE.test(query);
+  const project = detectProject(query, docs, projectHint);
+  const projectTerms = new Set(project ? tokenize(project) : []);
+  const topic = tokenize(query).filter((t) => !QUERY_NOISE.has(t) && !projectTerms.has(t));
+
+  const matches = [];
+  for (const doc of docs) {
+    if (project && doc.project !== project) continue;
+    if (!inRange(doc, timeRange)) continue;
+
+    const titleTerms = new Set(tokenize(`${doc.title} ${doc.tags.join(" ")}`));
+    for (const section of doc.sections) {
+      if (decisionsOnly ? !section.decision : section.extracted) continue;
+      const sectionTerms = new Set(tokenize(`${section.heading || ""} ${section.text}`));
+      const score = topic.reduce((sum, t) => sum + (sectionTerms.has(t) ? 2 : 0) + (titleTerms.has(t) ? 1 : 0), 0);
+      if (topic.length && score === 0) continue;
+      matches.push({
+        title: doc.title,
+        path: doc.path,
+        date: doc.date,
+        project: doc.project,
+        tags: doc.tags,
+        section: section.heading,
+        excerpt: excerpt(section.text, topic),
+        score,
+      });
+    }
+  }
+
+  // Most relevant first; without a topic ("latest notes") newest first, one section per note
+  matches.sort((a, b) => b.score - a.score || String(b.date).localeCompare(String(a.date)));
+  const ranked = topic.length ? matches : matches.filter((m, i) => matches.findIndex((o) => o.path === m.path) === i);
+
+  // Report the topic in the query's own words rather than as stemmed tokens
+  const topicWords = query.toLowerCase().split(/[^a-z0-9]+/).filter((w) => tokenize(w).some((t) => topic.includes(t)));
+  return { decisionsOnly, project, topic: topicWords.join(" "), matches: ranked.slice(0, MAX_RESULTS) };
+}
+
+export function formatDocsSummary(result) {
+  const [one, many] = result.decisionsOnly ? ["decision", "decisions"] : ["note", "notes"];
+  const scope = [result.topic && `about "${result.topic}"`, result.project && `in project ${result.project}`].filter(Boolean).join(" ");
+  if (!result.matches.length) return `No ${many} found${scope ? ` ${scope}` : ""}.`;
+
+  const lines = result.matches.map((m) => {
+    const date = m.date ? ` (${m.date.slice(0, 10)})` : "";
+    return `- ${m.title}${m.section ? ` › ${m.section}` : ""}${date} [${m.path}]: ${m.excerpt}`;
+  });
+  const count = `${result.matches.length} ${result.matches.length === 1 ? one : many}`;
+  return `Found ${count}${scope ? ` ${scope}` : ""}:\n${lines.join("\n")}`;
+}
@@ -0,0 +1,225 @@
+// documentIndex.js
+// Chunked document store with a BM25 index persisted to disk.
+import fs from "fs";
+import path from "path";
+
+const INDEX_PATH = process.env.DOC_INDEX_PATH || "./data/docIndex.json";
+const SUPPORTED_EXTENSIONS = [".md", ".markdown", ".txt", ".jsonl"];
+const MAX_CHUNK_CHARS = 800;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set(
+  "a an and are as at be but by for from has have how i in is it its of on or that the this to was were what when where which who why will with you your".split(
+    " "
+  )
+);
+
+let index = null; // { chunks: { [id]: chunk }, df: { [term]: n }, totalLength }
+
+export function tokenize(text) {
+  return text
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t))
+    .map((t) => (t.length > 3 && t.endsWith("s") && !t.endsWith("ss") ? t.slice(0, -1) : t));
+}
+
+function termFrequencies(tokens) {
+  const tf = {};
+  for (const t of tokens) tf[t] = (tf[t] || 0) + 1;
+  return tf;
+}
+
+/**
+ * Split a document into chunks of roughly MAX_CHUNK_CHARS, keeping markdown sections together where possible.
+ */
+export function chunkDocument(text, { sourceId, title = sourceId, path: filePath = null }) {
+  const sections = [];
+  let current = { heading: null, lines: [] };
+  for (const line of text.split(/\r?\n/)) {
+    const heading = /^#{1,6}\s+(.*)$/.exec(line);
+    if (heading) {
+      if (current.lines.join("").trim()) sections.push(current);
+      current = { heading: heading[1].trim(), lines: [] };
+    } else {
+      current.lines.push(line);
+    }
+  }
+  if (current.lines.join("").trim()) sections.push(current);
+
+  const chunks = [];
+  for (const section of sections) {
+    const paragraphs = section.lines.join("\n").split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean);
+    let buffer = "";
+    const flush = () => {
+      if (!buffer) return;
+      chunks.push({ heading: section.heading, text: buffer });
+      buffer = "";
+    };
+    for (const paragraph of paragraphs) {
+      if (buffer && buffer.length + paragraph.length + 2 > MAX_CHUNK_CHARS) flush();
+      // Very long paragraphs are hard-split on sentence boundaries
+      if (paragraph.length > MAX_CHUNK_CHARS) {
+        for (const sentence of paragraph.match(/[^.!?]+[.!?]*\s*/g) || [paragraph]) {
+          if (buffer.length + sentence.length > MAX_CHUNK_CHARS) flush();
+          buffer += sentence;
+        }
+        buffer = buffer.trim();
+      } else {
+        buffer = buffer ? `${buffer}\n\n${paragraph}` : paragraph;
+      }
+    }
+    flush();
+  }
+
+  return chunks.map((c, i) => ({
+    id: `${sourceId}#${i + 1}`,
+    sourceId,
+    title,
+    path: filePath,
+    heading: c.heading,
+    text: c.text,
+  }));
+}
+
+/**
+ * Read one .md/.txt/.jsonl file into chunks.
+ * JSONL lines are objects with `text` (or `content`) and optional `id`, `title`.
+ */
+export function readDocumentFile(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  const raw = fs.readFileSync(filePath, "utf8");
+  const rel = path.relative(process.cwd(), filePath);
+
+  if (ext === ".jsonl") {
+    return raw
+      .split(/\r?\n/)
+      .filter((line) => line.trim())
+      .flatMap((line, n) => {
+        const record = JSON.parse(line);
+        const text = record.text || record.content;
+        if (!text) return [];
+        const sourceId = record.id ? `${rel}:${record.id}` : `${rel}:${n + 1}`;
+        return chunkDocument(text, { sourceId, title: record.title || sourceId, path: rel });
+      });
+  }
+
+  const heading = /^#\s+(.*)$/m.exec(raw);
+  return chunkDocument(raw, { sourceId: rel, title: heading ? heading[1].trim() : path.basename(filePath), path: rel });
+}
+
+function listDocumentFiles(target) {
+  const stat = fs.statSync(target);
+  if (stat.isFile()) return SUPPORTED_EXTENSIONS.includes(path.extname(target).toLowerCase()) ? [target] : [];
+  return fs
+    .readdirSync(target)
+    .filter((name) => !name.startsWith("."))
+    .flatMap((name) => listDocumentFiles(path.join(target, name)));
+}
+
+function emptyIndex() {
+  return { chunks: {}, df: {}, totalLength: 0 };
+}
+
+export function loadIndex() {
+  if (index) return index;
+  index = emptyIndex();
+  if (fs.existsSync(INDEX_PATH)) {
+    const saved = JSON.parse(fs.readFileSync(INDEX_PATH, "utf8"));
+    for (const chunk of saved.chunks) addChunk(chunk);
+  }
+  return index;
+}
+
+function saveIndex() {
+  fs.mkdirSync(path.dirname(INDEX_PATH), { recursive: true });
+  const chunks = Object.values(index.chunks).map(({ tf, length, ...chunk }) => chunk);
+  fs.writeFileSync(INDEX_PATH, JSON.stringify({ version: 1, chunks }));
+}
+
+function addChunk(chunk) {
+  const tokens = tokenize(`${chunk.title} ${chunk.heading || ""} ${chunk.text}`);
+  const tf = termFrequencies(tokens);
+  index.chunks[chunk.id] = { ...chunk, tf, length: tokens.length };
+  index.totalLength += tokens.length;
+  for (const term of Object.keys(tf)) index.df[term] = (index.df[term] || 0) + 1;
+}
+
+function removeSource(sourceId) {
+  for (const chunk of Object.values(index.chunks)) {
+    if (chunk.sourceId !== sourceId) continue;
+    index.totalLength -= chunk.length;
+    for (const term of Object.keys(chunk.tf)) {
+      if (--index.df[term] === 0) delete index.df[term];
+    }
+    delete index.chunks[chunk.id];
+  }
+}
+
+/**
+ * Add (or replace) chunks in the index and persist it.
+ */
+export function ingestChunks(chunks) {
+  loadIndex();
+  for (const sourceId of new Set(chunks.map((c) => c.sourceId))) removeSource(sourceId);
+  for (const chunk of chunks) addChunk(chunk);
+  saveIndex();
+  return { chunks: chunks.length, sources: new Set(chunks.map((c) => c.sourceId)).size };
+}
+
+/**
+ * Ingest a file or a directory (recursively) of supported documents.
+ */
+export function ingestPath(target) {
+  const files = listDocumentFiles(target);
+  const chunks = files.flatMap(readDocumentFile);
+  return { files: files.length, ...ingestChunks(chunks) };
+}
+
+/**
+ * Ingest inline documents: [{ id, title?, text }].
+ */
+export function ingestDocuments(documents) {
+  const chunks = documents.flatMap((doc) => {
+    if (!doc.id || !doc.text) throw new Error("Each document needs an id and text");
+    return chunkDocument(doc.text, { sourceId: doc.id, title: doc.title || doc.id });
+  });
+  return ingestChunks(chunks);
+}
+
+export function indexStats() {
+  const { chunks } = loadIndex();
+  const all = Object.values(chunks);
+  return { chunks: all.length, sources: new Set(all.map((c) => c.sourceId)).size };
+}
+
+/**
+ * Top-k BM25 matches for the query: [{ id, sourceId, title, path, heading, text, score }].
+ */
+export function search(query, k = 4) {
+  const { chunks, df, totalLength } = loadIndex();
+  const all = Object.values(chunks);
+  if (!all.length) return [];
+
+  const terms = [...new Set(tokenize(query))];
+  const avgLength = totalLength / all.length;
+
+  return all
+    .map((chunk) => {
+      let score = 0;
+      for (const term of terms) {
+        const f = chunk.tf[term];
+        if (!f) continue;
+        const idf = Math.log(1 + (all.length - df[term] + 0.5) / (df[term] + 0.5));
+        score += (idf * f * (K1 + 1)) / (f + K1 * (1 - B + (B * chunk.length) / avgLength));
+      }
+      return { chunk, score };
+    })
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k)
+    .map(({ chunk: { tf, length, ...chunk }, score }) => ({ ...chunk, score: Math.round(score * 1000) / 1000 }));
+}
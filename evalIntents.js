@@ -0,0 +1,260 @@
+// evalIntents.js
+// Replays a labelled query set through the intent analyzer and reports routing quality.
+//
+// Usage: node evalIntents.js [--dataset eval/intents.jsonl] [--rules intentRules.json]
+//                            [--compare other-rules.json] [--llm off|fixtures|record|live]
+//                            [--fixtures eval/llmFixtures.json] [--min-score 1]
+//
+// Dataset lines: { "query": "...", "connectors": ["github_repo"], "time": "week" | null }
+// `time` is the expected granularity (null = no time expression); omit it to skip the check.
+//
+// --llm off       rules only (ruleBasedAnalyzer), the default
+// --llm fixtures  full analyzeIntent with classifier replies replayed from the fixtures file (offline)
+// --llm record    full analyzeIntent against the live model, saving its replies to the fixtures file
+// --llm live      full analyzeIntent against the live model
+// --min-score     exit with an error when exact match or time-hint accuracy is below this (0-1)
+//
+// Fixtures file: { "model": "...", "recorded_at": "...", "replies": { "<query>": "<classifier reply>" } }
+import "dotenv/config"; // first, so modules that read settings at import time see .env
+import fs from "fs";
+import { loadConnectors, listConnectors } from "./connectorRegistry.js";
+import { compileIntentRules } from "./intentRules.js";
+import { ruleBasedAnalyzer, analyzeIntent } from "./intentAnalyzer.js";
+import { configureLLM, getLLMClient, getModel } from "./llmClient.js";
+
+// The report goes to stdout; log lines from the analyzer and connectors go to stderr
+const print = console.log;
+console.log = console.error;
+
+const LLM_MODES = ["off", "fixtures", "record", "live"];
+const NONE = "(none)";
+
+function parseArgs(argv) {
+  const options = {
+    dataset: "./eval/intents.jsonl",
+    rules: "./intentRules.json",
+    compare: null,
+    llm: "off",
+    fixtures: "./eval/llmFixtures.json",
+    "min-score": null,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in options)) throw new Error(`Unknown option ${argv[i]}`);
+    options[key] = argv[++i];
+  }
+  if (!LLM_MODES.includes(options.llm)) throw new Error(`--llm must be one of ${LLM_MODES.join(", ")}`);
+  if (options["min-score"] !== null) {
+    options["min-score"] = Number(options["min-score"]);
+    if (!(options["min-score"] >= 0 && options["min-score"] <= 1)) throw new Error("--min-score must be between 0 and 1");
+  }
+  return options;
+}
+
+function readDataset(file) {
+  return fs
+    .readFileSync(file, "utf8")
+    .split(/\r?\n/)
+    .filter((line) => line.trim())
+    .map((line, n) => {
+      const example = JSON.parse(line);
+      if (!example.query || !Array.isArray(example.connectors)) {
+        throw new Error(`${file}:${n + 1} needs a query and a connectors array`);
+      }
+      return example;
+    });
+}
+
+function readRules(file) {
+  return compileIntentRules(JSON.parse(fs.readFileSync(file, "utf8")), file);
+}
+
+function readFixtures(file) {
+  if (!fs.existsSync(file)) return { model: null, recorded_at: null, replies: {} };
+  const fixtures = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!fixtures || typeof fixtures.replies !== "object") throw new Error(`${file} needs a replies object`);
+  return fixtures;
+}
+
+function userMessage(request) {
+  return request.messages.find((m) => m.role === "user").content;
+}
+
+/**
+ * Point the analyzer at recorded classifier replies, or record live ones into `fixtures.replies`.
+ * Every query must have a recorded reply: the analyzer would otherwise fall back to rules without saying so.
+ */
+function setupLLM(mode, fixtures, examples, file) {
+  if (mode === "fixtures") {
+    const missing = examples.filter((e) => !(e.query in fixtures.replies)).map((e) => `"${e.query}"`);
+    if (missing.length) {
+      throw new Error(`No recorded classifier reply in ${file} for ${missing.join(", ")}; run --llm record first`);
+    }
+    configureLLM({
+      client: {
+        chat: {
+          completions: {
+            async create(request) {
+              const content = fixtures.replies[userMessage(request)];
+              return { choices: [{ message: { role: "assistant", content } }], model: fixtures.model, usage: null };
+            },
+          },
+        },
+      },
+    });
+  } else if (mode === "record") {
+    const live = getLLMClient();
+    configureLLM({
+      client: {
+        chat: {
+          completions: {
+            async create(request, options) {
+              const response = await live.chat.completions.create(request, options);
+              fixtures.replies[userMessage(request)] = response.choices[0].message.content;
+              fixtures.model = response.model || getModel();
+              return response;
+            },
+          },
+        },
+      },
+    });
+  }
+}
+
+async function runExamples(examples, rules, llmMode) {
+  const runs = [];
+  for (const example of examples) {
+    const intent =
+      llmMode === "off" ? ruleBasedAnalyzer(example.query, rules) : await analyzeIntent(example.query, { rules });
+    runs.push({ example, predicted: intent.connectors, timeRange: intent.timeRange });
+  }
+  return runs;
+}
+
+/**
+ * Per-connector precision/recall, a multi-label confusion matrix (expected × predicted) and time-hint accuracy.
+ * In the matrix a label that was predicted counts on the diagonal; a missed one counts against the labels
+ * predicted instead, or (none).
+ */
+function scoreRuns(runs, names) {
+  const counts = Object.fromEntries(names.map((n) => [n, { tp: 0, fp: 0, fn: 0 }]));
+  const matrix = Object.fromEntries(names.map((n) => [n, {}]));
+  let exact = 0;
+  let timeChecked = 0;
+  let timeCorrect = 0;
+
+  for (const { example, predicted, timeRange } of runs) {
+    const expected = example.connectors;
+    for (const name of names) {
+      const want = expected.includes(name);
+      const got = predicted.includes(name);
+      if (want && got) counts[name].tp++;
+      else if (got) counts[name].fp++;
+      else if (want) counts[name].fn++;
+    }
+    const extra = predicted.filter((c) => !expected.includes(c));
+    for (const want of expected) {
+      if (!matrix[want]) matrix[want] = {};
+      const columns = predicted.includes(want) ? [want] : extra.length ? extra : [NONE];
+      for (const got of columns) matrix[want][got] = (matrix[want][got] || 0) + 1;
+    }
+    if (expected.length === predicted.length && expected.every((c) => predicted.includes(c))) exact++;
+
+    if ("time" in example) {
+      timeChecked++;
+      const granularity = timeRange ? timeRange.granularity : null;
+      if (granularity === example.time) timeCorrect++;
+    }
+  }
+
+  const perConnector = names.map((name) => {
+    const { tp, fp, fn } = counts[name];
+    return {
+      connector: name,
+      precision: tp + fp ? tp / (tp + fp) : null,
+      recall: tp + fn ? tp / (tp + fn) : null,
+      support: tp + fn,
+    };
+  });
+
+  return {
+    examples: runs.length,
+    exactMatch: runs.length ? exact / runs.length : 0,
+    timeAccuracy: timeChecked ? timeCorrect / timeChecked : null,
+    perConnector,
+    matrix,
+  };
+}
+
+function pct(value) {
+  return value === null ? "   n/a" : `${(value * 100).toFixed(1).padStart(5)}%`;
+}
+
+function printReport(label, report, names) {
+  print(`\n📊 ${label}: ${report.examples} examples, exact match ${pct(report.exactMatch)}, time hints ${pct(report.timeAccuracy)}`);
+  print(`${"connector".padEnd(18)} precision   recall  support`);
+  for (const row of report.perConnector) {
+    print(`${row.connector.padEnd(18)} ${pct(row.precision).padStart(9)} ${pct(row.recall).padStart(8)} ${String(row.support).padStart(8)}`);
+  }
+
+  const columns = [...names, NONE];
+  print("\nConfusion matrix (rows expected, columns predicted):");
+  print(`${"".padEnd(18)}${columns.map((c) => c.slice(0, 7).padStart(8)).join("")}`);
+  for (const name of names) {
+    const row = report.matrix[name] || {};
+    print(`${name.padEnd(18)}${columns.map((c) => String(row[c] || 0).padStart(8)).join("")}`);
+  }
+}
+
+function printDiff(baseRuns, otherRuns, baseReport, otherReport) {
+  print("\n🔀 Per-connector change (compare − base):");
+  for (const [i, base] of baseReport.perConnector.entries()) {
+    const other = otherReport.perConnector[i];
+    const delta = (a, b) => (a === null || b === null ? "   n/a" : `${b - a >= 0 ? "+" : ""}${((b - a) * 100).toFixed(1)}`);
+    print(`${base.connector.padEnd(18)} precision ${delta(base.precision, other.precision).padStart(6)}  recall ${delta(base.recall, other.recall).padStart(6)}`);
+  }
+
+  const routeKey = (run) => [...run.predicted].sort().join();
+  const changed = baseRuns.filter((run, i) => routeKey(run) !== routeKey(otherRuns[i]));
+  print(`\n${changed.length} of ${baseRuns.length} queries routed differently:`);
+  for (const run of changed) {
+    const other = otherRuns[baseRuns.indexOf(run)];
+    print(`- "${run.example.query}" expected [${run.example.connectors}]: [${run.predicted}] → [${other.predicted}]`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  await loadConnectors();
+  const names = listConnectors().map((c) => c.name);
+  const examples = readDataset(options.dataset);
+  const fixtures = ["fixtures", "record"].includes(options.llm) ? readFixtures(options.fixtures) : null;
+  setupLLM(options.llm, fixtures, examples, options.fixtures);
+
+  const baseRuns = await runExamples(examples, readRules(options.rules), options.llm);
+  const baseReport = scoreRuns(baseRuns, names);
+  printReport(options.rules, baseReport, names);
+
+  if (options.compare) {
+    const otherRuns = await runExamples(examples, readRules(options.compare), options.llm);
+    const otherReport = scoreRuns(otherRuns, names);
+    printReport(options.compare, otherReport, names);
+    printDiff(baseRuns, otherRuns, baseReport, otherReport);
+  }
+
+  if (options.llm === "record") {
+    fixtures.recorded_at = new Date().toISOString();
+    fs.writeFileSync(options.fixtures, `${JSON.stringify(fixtures, null, 2)}\n`);
+    print(`\n💾 Saved ${Object.keys(fixtures.replies).length} classifier replies to ${options.fixtures}`);
+  }
+
+  const minScore = options["min-score"];
+  if (minScore !== null && (baseReport.exactMatch < minScore || (baseReport.timeAccuracy ?? 1) < minScore)) {
+    throw new Error(`Exact match or time-hint accuracy is below --min-score ${minScore}`);
+  }
+}
+
+main().catch((err) => {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+});
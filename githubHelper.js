@@ -1,70 +1,575 @@
 // githubHelper.js
+import fs from "fs";
 import { Octokit } from "octokit";
 import stringSimilarity from "string-similarity";
+import { clampToPast } from "./timeParser.js";
+import { DEFAULT_USER, getToken, saveToken, deleteToken, createOAuthState, consumeOAuthState } from "./tokenStore.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("github");
+
+const PROVIDER = "github";
+
+/**
+ * Initialize Octokit client using the user's stored GitHub token.
+ * GITHUB_TOKEN is only used for requests that don't name a user. `signal` aborts every request it makes.
+ */
+export function createGitHubClient(userId = DEFAULT_USER, { signal } = {}) {
+  const stored = getToken(userId, PROVIDER);
+  const token = stored ? stored.access_token : userId === DEFAULT_USER ? process.env.GITHUB_TOKEN : null;
+  if (!token) {
+    throw new Error(`No GitHub authorization for user ${userId}. Visit /auth/github?user_id=${encodeURIComponent(userId)} first.`);
+  }
+  return new Octokit({ auth: token, ...(signal ? { request: { signal } } : {}) });
+}
+
+/**
+ * GitHub OAuth authorize URL; `state` ties the callback to the user.
+ */
+export function getGitHubAuthUrl(userId = DEFAULT_USER) {
+  if (!process.env.GITHUB_CLIENT_ID) throw new Error("GITHUB_CLIENT_ID is not set");
+  const params = new URLSearchParams({
+    client_id: process.env.GITHUB_CLIENT_ID,
+    scope: "repo read:org",
+    state: createOAuthState(userId, PROVIDER),
+  });
+  if (process.env.GITHUB_REDIRECT_URI) params.set("redirect_uri", process.env.GITHUB_REDIRECT_URI);
+  return `https://github.com/login/oauth/authorize?${params}`;
+}
 
 /**
- * Initialize Octokit client using the GitHub token.
+ * Exchange the OAuth callback code and store the token. Returns the user id, or null for a bad state.
  */
-export function createGitHubClient() {
-  const token = process.env.GITHUB_TOKEN;
-  if (!token) throw new Error("GitHub token not set in environment variables");
-  return new Octokit({ auth: token });
+export async function exchangeGitHubCode(code, state) {
+  const userId = consumeOAuthState(state, PROVIDER);
+  if (!userId) return null;
+
+  const res = await fetch("https://github.com/login/oauth/access_token", {
+    method: "POST",
+    headers: { Accept: "application/json", "Content-Type": "application/json" },
+    body: JSON.stringify({
+      client_id: process.env.GITHUB_CLIENT_ID,
+      client_secret: process.env.GITHUB_CLIENT_SECRET,
+      code,
+    }),
+  });
+  const body = await res.json();
+  if (!body.access_token) throw new Error(body.error_description || "GitHub did not return an access token");
+
+  saveGitHubToken(userId, body);
+  return userId;
 }
 
 /**
- * Fetch all repos the user can access.
+ * Store a token for the user (OAuth response or a personal access token).
  */
-export async function getUserRepos(octokit) {
-  const response = await octokit.request("GET /user/repos", {
+export function saveGitHubToken(userId, tokens) {
+  saveToken(userId, PROVIDER, typeof tokens === "string" ? { access_token: tokens, token_type: "pat" } : tokens);
+  clearRepoCache(userId);
+}
+
+/**
+ * Revoke the OAuth grant (best effort, PATs can't be revoked here) and forget the token.
+ */
+export async function revokeGitHubAccess(userId) {
+  const token = getToken(userId, PROVIDER);
+  if (!token) return false;
+
+  const { GITHUB_CLIENT_ID: id, GITHUB_CLIENT_SECRET: secret } = process.env;
+  if (token.token_type !== "pat" && id && secret) {
+    try {
+      await fetch(`https://api.github.com/applications/${id}/grant`, {
+        method: "DELETE",
+        headers: {
+          Accept: "application/vnd.github+json",
+          Authorization: `Basic ${Buffer.from(`${id}:${secret}`).toString("base64")}`,
+        },
+        body: JSON.stringify({ access_token: token.access_token }),
+      });
+    } catch (err) {
+      log.warn("GitHub revoke failed", { userId, err });
+    }
+  }
+  clearRepoCache(userId);
+  return deleteToken(userId, PROVIDER);
+}
+
+const REPO_CACHE_TTL_MS = Number(process.env.GITHUB_REPO_CACHE_TTL_MS) || 10 * 60 * 1000;
+const MATCH_THRESHOLD = 0.55;
+const AMBIGUITY_MARGIN = 0.1;
+// Pull request and issue lists: how many items to return, and how many pages of 100 to read for them
+const LIST_LIMIT = 30;
+const LIST_MAX_PAGES = Number(process.env.GITHUB_LIST_MAX_PAGES) || 5;
+
+// Words that describe the question rather than the repository
+const STOPWORDS = new Set([
+  "a", "an", "and", "any", "are", "for", "from", "in", "is", "me", "my", "of", "on", "show", "the", "to",
+  "what", "which", "with", "list", "latest", "recent", "open", "closed", "merged", "pr", "prs", "pull",
+  "request", "requests", "issue", "issues", "commit", "commits", "repo", "repos", "repository", "branch",
+  "ci", "check", "checks", "status", "review", "reviews", "github", "today",
+]);
+
+const repoCache = new Map();
+let repoAliases = null;
+
+/**
+ * Fetch all repos the user can access, cached per user for GITHUB_REPO_CACHE_TTL_MS.
+ */
+export async function getUserRepos(octokit, user = DEFAULT_USER) {
+  const cached = repoCache.get(user);
+  if (cached && cached.expiresAt > Date.now()) return cached.repos;
+
+  const repos = await octokit.paginate("GET /user/repos", {
     per_page: 100,
     affiliation: "owner,collaborator,organization_member"
   });
-  return response.data.map(repo => repo.full_name); // e.g. "username/repo"
+  const names = repos.map(repo => repo.full_name); // e.g. "username/repo"
+
+  repoCache.set(user, { repos: names, expiresAt: Date.now() + REPO_CACHE_TTL_MS });
+  return names;
+}
+
+export function clearRepoCache(user) {
+  if (user) repoCache.delete(user);
+  else repoCache.clear();
+}
+
+/**
+ * Load the alias → "owner/repo" map (e.g. { "billing service": "acme/billing-api" }).
+ */
+export function loadRepoAliases(file = process.env.GITHUB_REPO_ALIASES || "./repoAliases.json") {
+  try {
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    repoAliases = Object.fromEntries(Object.entries(raw).map(([alias, repo]) => [normalize(alias), repo]));
+  } catch (err) {
+    if (err.code !== "ENOENT") log.warn("Could not read repo aliases", { file, err });
+    repoAliases = {};
+  }
+  return repoAliases;
+}
+
+function normalize(text) {
+  return text.toLowerCase().replace(/[-_.]+/g, " ").replace(/\s+/g, " ").trim();
+}
+
+function containsPhrase(text, phrase) {
+  return ` ${text} `.includes(` ${phrase} `);
 }
 
 /**
- * Find the repo that best matches the user's natural-language query.
+ * Candidate phrases (1–3 consecutive words) that could name a repository.
  */
-export function findBestMatchingRepo(query, repoNames) {
-  if (repoNames.length === 0) return null;
+function extractRepoMentions(query) {
+  const words = normalize(query.replace(/[^\w\s\-_.\/]/g, " "))
+    .split(" ")
+    .filter((w) => w && !STOPWORDS.has(w) && !/^#?\d+$/.test(w));
 
-  const match = stringSimilarity.findBestMatch(query, repoNames);
-  const best = match.bestMatch;
-  if (best.rating < 0.2) return null; // not confident enough
-  return best.target;
+  const mentions = new Set();
+  for (let size = 1; size <= 3; size++) {
+    for (let i = 0; i + size <= words.length; i++) {
+      mentions.add(words.slice(i, i + size).join(" "));
+    }
+  }
+  return [...mentions];
 }
 
 /**
- * Fetch open pull requests for the selected repo.
+ * Rank the user's repos against the query.
+ * Returns `{ match, candidates }`; `match` is null when nothing fits or several repos score closely,
+ * in which case `candidates` holds the ranked options for the caller to pick from.
  */
-export async function getOpenPullRequests(octokit, fullRepoName) {
+export function findBestMatchingRepo(query, repoNames, aliases = repoAliases || loadRepoAliases()) {
+  if (repoNames.length === 0) return { match: null, candidates: [] };
+
+  const text = normalize(query);
+  const known = new Map(repoNames.map((name) => [name.toLowerCase(), name]));
+
+  // 1. Explicit owner/repo
+  for (const [, full] of query.matchAll(/([\w.-]+\/[\w.-]+)/g)) {
+    const name = known.get(full.toLowerCase());
+    if (name) return { match: name, candidates: [{ repo: name, score: 1, reason: "full name" }] };
+  }
+
+  // 2. Configured alias
+  for (const [alias, target] of Object.entries(aliases)) {
+    if (containsPhrase(text, alias)) {
+      const name = known.get(target.toLowerCase()) || target;
+      return { match: name, candidates: [{ repo: name, score: 1, reason: `alias "${alias}"` }] };
+    }
+  }
+
+  // 3. Exact short name; the longest one wins ("billing api" over "api"), ties are ambiguous
+  const shortName = (name) => normalize(name.split("/")[1]);
+  const named = repoNames.filter((name) => containsPhrase(text, shortName(name)));
+  const longest = Math.max(0, ...named.map((name) => shortName(name).length));
+  const exact = named.filter((name) => shortName(name).length === longest);
+  if (exact.length === 1) {
+    return { match: exact[0], candidates: [{ repo: exact[0], score: 1, reason: "repo name" }] };
+  }
+  if (exact.length > 1) {
+    return { match: null, candidates: exact.map((repo) => ({ repo, score: 1, reason: "repo name" })) };
+  }
+
+  const mentions = extractRepoMentions(query);
+  if (!mentions.length) return { match: null, candidates: [] };
+
+  const rank = (names, reason) =>
+    names
+      .map((repo) => {
+        const short = shortName(repo);
+        const score = Math.max(...mentions.map((m) => stringSimilarity.compareTwoStrings(m, short)));
+        return { repo, score: Math.round(score * 100) / 100, reason };
+      })
+      .sort((a, b) => b.score - a.score);
+
+  // 4. Mentioned words appear in the short name ("billing" → billing-api, billing-worker)
+  const partial = repoNames.filter((name) => mentions.some((m) => containsPhrase(shortName(name), m)));
+  if (partial.length === 1) {
+    return { match: partial[0], candidates: rank(partial, "partial name") };
+  }
+  if (partial.length > 1) {
+    return { match: null, candidates: rank(partial, "partial name").slice(0, 5) };
+  }
+
+  // 5. Fuzzy match of the mentioned words against short names (typos, abbreviations)
+  const ranked = rank(repoNames, "similar name")
+    .filter((c) => c.score >= MATCH_THRESHOLD)
+    .slice(0, 5);
+
+  if (!ranked.length) return { match: null, candidates: [] };
+  const close = ranked.filter((c) => ranked[0].score - c.score < AMBIGUITY_MARGIN);
+  if (close.length > 1) return { match: null, candidates: close };
+  return { match: ranked[0].repo, candidates: ranked };
+}
+
+/**
+ * Work out which GitHub question is being asked and pull out its parameters.
+ */
+export function detectGitHubIntent(query) {
+  const text = query.toLowerCase();
+  const prMatch = /(?:#|\b(?:pr|pull request)\s*#?)(\d+)\b/.exec(text);
+  const prNumber = prMatch ? Number(prMatch[1]) : null;
+
+  if (/\b(awaiting|waiting for|needs?|requested)\b.*\breview\b|\bto review\b|\breview requests?\b/.test(text)) {
+    return { type: "my_pull_requests", role: "review_requested" };
+  }
+  if (/\b(my|i (?:opened|authored|created|raised))\b.*\b(prs?|pull requests?)\b/.test(text)) {
+    return { type: "my_pull_requests", role: "author" };
+  }
+  if (/\b(ci|checks?|builds?|workflows?|pipelines?|actions)\b/.test(text)) {
+    return { type: "checks", prNumber };
+  }
+  if (/\b(reviews?|reviewers?|reviewed|approv\w*)\b/.test(text)) {
+    return { type: "reviews", prNumber };
+  }
+  if (/\b(issues?|bugs?)\b/.test(text)) {
+    return {
+      type: "issues",
+      state: /\b(closed|resolved|fixed)\b/.test(text) ? "closed" : "open",
+      labels: extractLabels(query),
+    };
+  }
+  if (/\bcommits?\b/.test(text)) {
+    const branch = /\bbranch\s+[`'"]?([\w.\-/]+)|\b(?:on|in|to)\s+(?:the\s+)?[`'"]?([\w.\-/]+)[`'"]?\s+branch\b/i.exec(query);
+    return { type: "commits", branch: branch ? branch[1] || branch[2] : null };
+  }
+  return {
+    type: "pull_requests",
+    state: /\bmerged\b/.test(text) ? "merged" : /\bclosed\b/.test(text) ? "closed" : "open",
+  };
+}
+
+function extractLabels(query) {
+  const quoted = /\blabel(?:ed|led|s)?\s+["']([^"']+)["']/i.exec(query);
+  if (quoted) return [quoted[1]];
+
+  const bare = /\blabel(?:ed|led|s)?\s+([\w:.\-/]+(?:\s*(?:,|\band\b)\s*[\w:.\-/]+)*)/i.exec(query);
+  if (!bare) return [];
+  return bare[1].split(/\s*(?:,|\band\b)\s*/).filter(Boolean);
+}
+
+function splitRepo(fullRepoName) {
   const [owner, repo] = fullRepoName.split("/");
-  const response = await octokit.request("GET /repos/{owner}/{repo}/pulls", {
-    owner,
-    repo,
-    state: "open"
+  return { owner, repo };
+}
+
+function summarizePullRequest(pr) {
+  return {
+    number: pr.number,
+    title: pr.title,
+    author: pr.user ? pr.user.login : null,
+    state: pr.state,
+    draft: Boolean(pr.draft),
+    merged: Boolean(pr.merged_at),
+    url: pr.html_url,
+    createdAt: pr.created_at,
+    updatedAt: pr.updated_at,
+  };
+}
+
+/**
+ * Page through a list endpoint until LIST_LIMIT items pass `keep` or LIST_MAX_PAGES pages were read,
+ * so filtered lists (merged pull requests, issues without pull requests) are not cut to one page.
+ */
+async function listUntilFull(octokit, route, params, keep) {
+  const items = [];
+  let pages = 0;
+  for await (const { data } of octokit.paginate.iterator(route, { ...params, per_page: 100 })) {
+    items.push(...data.filter(keep));
+    if (items.length >= LIST_LIMIT || ++pages >= LIST_MAX_PAGES) break;
+  }
+  return items.slice(0, LIST_LIMIT);
+}
+
+/**
+ * Fetch pull requests for the selected repo. `state` is open, closed (merged or not) or merged.
+ */
+export async function getPullRequests(octokit, fullRepoName, { state = "open" } = {}) {
+  // The API has no merged state: merged pull requests are the closed ones with merged_at set
+  const pulls = await listUntilFull(
+    octokit,
+    "GET /repos/{owner}/{repo}/pulls",
+    { ...splitRepo(fullRepoName), state: state === "merged" ? "closed" : state },
+    state === "merged" ? (pr) => Boolean(pr.merged_at) : () => true
+  );
+  return pulls.map(summarizePullRequest);
+}
+
+/**
+ * Fetch issues (excluding pull requests), optionally filtered by labels.
+ */
+export async function getIssues(octokit, fullRepoName, { state = "open", labels = [] } = {}) {
+  // The issues endpoint lists pull requests too
+  const issues = await listUntilFull(
+    octokit,
+    "GET /repos/{owner}/{repo}/issues",
+    { ...splitRepo(fullRepoName), state, labels: labels.length ? labels.join(",") : undefined },
+    (issue) => !issue.pull_request
+  );
+  return issues.map((issue) => ({
+    number: issue.number,
+    title: issue.title,
+    state: issue.state,
+    author: issue.user ? issue.user.login : null,
+    labels: issue.labels.map((l) => (typeof l === "string" ? l : l.name)),
+    assignees: (issue.assignees || []).map((a) => a.login),
+    url: issue.html_url,
+    createdAt: issue.created_at,
+    closedAt: issue.closed_at,
+  }));
+}
+
+/**
+ * Fetch the most recent commits on a branch (default branch when none is given).
+ */
+export async function getRecentCommits(octokit, fullRepoName, { branch, since, until, limit = 10 } = {}) {
+  const response = await octokit.request("GET /repos/{owner}/{repo}/commits", {
+    ...splitRepo(fullRepoName),
+    sha: branch || undefined,
+    since: since || undefined,
+    until: until || undefined,
+    per_page: limit,
   });
+  return response.data.map((c) => ({
+    sha: c.sha.slice(0, 7),
+    message: c.commit.message.split("\n")[0],
+    author: c.author ? c.author.login : c.commit.author.name,
+    date: c.commit.author.date,
+    url: c.html_url,
+  }));
+}
 
-  if (response.data.length === 0) {
-    return `No open pull requests in ${fullRepoName}.`;
+/**
+ * Check runs and commit statuses for a pull request's head commit.
+ */
+export async function getPullRequestChecks(octokit, fullRepoName, prNumber) {
+  const ref = splitRepo(fullRepoName);
+  const { data: pr } = await octokit.request("GET /repos/{owner}/{repo}/pulls/{pull_number}", {
+    ...ref,
+    pull_number: prNumber,
+  });
+  const sha = pr.head.sha;
+
+  const [{ data: checks }, { data: status }] = await Promise.all([
+    octokit.request("GET /repos/{owner}/{repo}/commits/{ref}/check-runs", { ...ref, ref: sha, per_page: 100 }),
+    octokit.request("GET /repos/{owner}/{repo}/commits/{ref}/status", { ...ref, ref: sha }),
+  ]);
+
+  const checkRuns = checks.check_runs.map((run) => ({
+    name: run.name,
+    status: run.status,
+    conclusion: run.conclusion,
+    url: run.html_url,
+  }));
+  const statuses = status.statuses.map((s) => ({ context: s.context, state: s.state, url: s.target_url }));
+
+  let overall = "success";
+  const failed = (c) => ["failure", "timed_out", "cancelled", "action_required"].includes(c);
+  if (checkRuns.some((r) => failed(r.conclusion)) || statuses.some((s) => ["failure", "error"].includes(s.state))) {
+    overall = "failure";
+  } else if (checkRuns.some((r) => r.status !== "completed") || statuses.some((s) => s.state === "pending")) {
+    overall = "pending";
+  } else if (!checkRuns.length && !statuses.length) {
+    overall = "none";
   }
 
-  const prList = response.data.map(pr => `• ${pr.title} (#${pr.number})`).join("\n");
-  return `Open pull requests for **${fullRepoName}**:\n${prList}`;
+  return { pullRequest: summarizePullRequest(pr), sha: sha.slice(0, 7), overall, checkRuns, statuses };
+}
+
+/**
+ * Requested reviewers and the latest review state per reviewer for a pull request.
+ */
+export async function getPullRequestReviews(octokit, fullRepoName, prNumber) {
+  const ref = { ...splitRepo(fullRepoName), pull_number: prNumber };
+  const [{ data: pr }, { data: requested }, { data: reviews }] = await Promise.all([
+    octokit.request("GET /repos/{owner}/{repo}/pulls/{pull_number}", ref),
+    octokit.request("GET /repos/{owner}/{repo}/pulls/{pull_number}/requested_reviewers", ref),
+    octokit.request("GET /repos/{owner}/{repo}/pulls/{pull_number}/reviews", { ...ref, per_page: 100 }),
+  ]);
+
+  // Reviews come back oldest first, so later entries win; plain comments don't change the verdict
+  const latest = {};
+  for (const review of reviews) {
+    const login = review.user ? review.user.login : "unknown";
+    if (review.state === "COMMENTED" && latest[login]) continue;
+    latest[login] = { reviewer: login, state: review.state, submittedAt: review.submitted_at };
+  }
+  const reviewStates = Object.values(latest);
+
+  let decision = "review_required";
+  if (reviewStates.some((r) => r.state === "CHANGES_REQUESTED")) decision = "changes_requested";
+  else if (reviewStates.some((r) => r.state === "APPROVED")) decision = "approved";
+
+  return {
+    pullRequest: summarizePullRequest(pr),
+    requestedReviewers: [
+      ...requested.users.map((u) => u.login),
+      ...requested.teams.map((t) => `team:${t.slug}`),
+    ],
+    reviews: reviewStates,
+    decision,
+  };
+}
+
+/**
+ * Open pull requests authored by, or awaiting review from, the authenticated user.
+ */
+export async function getMyPullRequests(octokit, { role = "author" } = {}) {
+  const qualifier = role === "review_requested" ? "review-requested:@me" : "author:@me";
+  const response = await octokit.request("GET /search/issues", {
+    q: `is:pr is:open ${qualifier}`,
+    sort: "updated",
+    per_page: 30,
+  });
+  return response.data.items.map((item) => ({
+    number: item.number,
+    title: item.title,
+    repo: item.repository_url.split("/repos/")[1],
+    author: item.user ? item.user.login : null,
+    url: item.html_url,
+    updatedAt: item.updated_at,
+  }));
 }
 
 /**
- * High-level function to process a query and return results.
+ * High-level function to process a query and return structured results.
  */
-export async function handleGitHubQuery(query) {
-  const octokit = createGitHubClient();
+export async function handleGitHubQuery(
+  query,
+  { timeRange = null, user = DEFAULT_USER, signal, octokit = createGitHubClient(user, { signal }), repoHint = null } = {}
+) {
+  const intent = detectGitHubIntent(query);
 
-  const repos = await getUserRepos(octokit);
-  const bestRepo = findBestMatchingRepo(query, repos);
+  if (intent.type === "my_pull_requests") {
+    return { intent, repo: null, pullRequests: await getMyPullRequests(octokit, intent) };
+  }
 
-  if (!bestRepo) {
-    return "I couldn’t determine which repository you meant. Please specify the repo name.";
+  const repos = await getUserRepos(octokit, user);
+  let { match: repo, candidates } = findBestMatchingRepo(query, repos);
+  // Follow-ups ("and the open issues?") stay on the repo from earlier in the conversation
+  const hinted = repoHint && repos.find((r) => [r, r.split("/")[1]].some((n) => n.toLowerCase() === repoHint.toLowerCase()));
+  if (!repo && hinted && (!candidates.length || candidates.some((c) => c.repo === hinted))) {
+    repo = hinted;
+  }
+  if (!repo && candidates.length) {
+    return {
+      intent,
+      repo: null,
+      candidates,
+      error: `Several repositories match: ${candidates.map((c) => c.repo).join(", ")}. Which one did you mean?`,
+    };
+  }
+  if (!repo) {
+    return { intent, repo: null, candidates, error: "I couldn’t determine which repository you meant. Please specify the repo name." };
   }
 
-  return await getOpenPullRequests(octokit, bestRepo);
+  switch (intent.type) {
+    case "issues":
+      return { intent, repo, issues: await getIssues(octokit, repo, intent) };
+    case "commits": {
+      const window = clampToPast(timeRange);
+      return {
+        intent,
+        repo,
+        commits: await getRecentCommits(octokit, repo, {
+          branch: intent.branch,
+          since: window ? window.start.toISOString() : null,
+          until: window ? window.end.toISOString() : null,
+        }),
+      };
+    }
+    case "checks":
+    case "reviews":
+      if (!intent.prNumber) {
+        return { intent, repo, error: "Which pull request? Mention it as #123." };
+      }
+      return intent.type === "checks"
+        ? { intent, repo, checks: await getPullRequestChecks(octokit, repo, intent.prNumber) }
+        : { intent, repo, reviews: await getPullRequestReviews(octokit, repo, intent.prNumber) };
+    default:
+      return { intent, repo, pullRequests: await getPullRequests(octokit, repo, intent) };
+  }
+}
+
+/**
+ * Short plain-text summary of a handleGitHubQuery result.
+ */
+export function formatGitHubResult(result) {
+  const { intent, repo } = result;
+  if (result.error) return result.error;
+
+  const list = (items, fmt) => items.slice(0, 10).map(fmt).join("; ");
+
+  switch (intent.type) {
+    case "my_pull_requests": {
+      const label = intent.role === "review_requested" ? "awaiting your review" : "authored by you";
+      if (!result.pullRequests.length) return `No open pull requests ${label}.`;
+      return `Open pull requests ${label}: ${list(result.pullRequests, (pr) => `${pr.repo}#${pr.number} ${pr.title}`)}`;
+    }
+    case "issues": {
+      const filter = intent.labels.length ? ` labelled ${intent.labels.join(", ")}` : "";
+      if (!result.issues.length) return `No ${intent.state} issues${filter} in ${repo}.`;
+      return `${result.issues.length} ${intent.state} issues${filter} in ${repo}: ${list(result.issues, (i) => `#${i.number} ${i.title}`)}`;
+    }
+    case "commits": {
+      const branch = intent.branch ? ` on ${intent.branch}` : "";
+      if (!result.commits.length) return `No recent commits${branch} in ${repo}.`;
+      return `Recent commits${branch} in ${repo}: ${list(result.commits, (c) => `${c.sha} ${c.message} (${c.author})`)}`;
+    }
+    case "checks": {
+      const { pullRequest, overall, checkRuns } = result.checks;
+      const failing = checkRuns.filter((r) => r.conclusion && r.conclusion !== "success" && r.conclusion !== "skipped");
+      const detail = failing.length ? ` Failing: ${failing.map((r) => r.name).join(", ")}.` : "";
+      return `CI for ${repo}#${pullRequest.number} is ${overall} (${checkRuns.length} check runs).${detail}`;
+    }
+    case "reviews": {
+      const { pullRequest, requestedReviewers, reviews, decision } = result.reviews;
+      const states = reviews.map((r) => `${r.reviewer}: ${r.state.toLowerCase()}`).join(", ") || "no reviews yet";
+      const pending = requestedReviewers.length ? ` Awaiting: ${requestedReviewers.join(", ")}.` : "";
+      return `${repo}#${pullRequest.number} review status is ${decision.replace("_", " ")} (${states}).${pending}`;
+    }
+    default:
+      if (!result.pullRequests.length) return `No ${intent.state} pull requests in ${repo}.`;
+      return `${intent.state[0].toUpperCase()}${intent.state.slice(1)} pull requests for ${repo}: ${list(result.pullRequests, (pr) => `#${pr.number} ${pr.title}`)}`;
+  }
 }
@@ -1,12 +1,20 @@
 import fs from "fs";
 import { google } from "googleapis";
+import { defaultTimeZone, getZonedParts, startOfZonedDay, zonedTimeToDate } from "./timeUtils.js";
+import { DEFAULT_USER, getToken, saveToken, updateToken, deleteToken, createOAuthState, consumeOAuthState } from "./tokenStore.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("googleCalendar");
 
 const SCOPES = ["https://www.googleapis.com/auth/calendar.readonly"];
-const TOKEN_PATH = "token.json";
+const PROVIDER = "google";
+
+let clientConfig = null;
 
+// credentials.json is read once; each call still gets its own OAuth client
 function loadCredentials() {
-  const credentials = JSON.parse(fs.readFileSync("credentials.json"));
-  const { client_secret, client_id, redirect_uris } = credentials.web;
+  if (!clientConfig) clientConfig = JSON.parse(fs.readFileSync("credentials.json")).web;
+  const { client_secret, client_id, redirect_uris } = clientConfig;
   const oAuth2Client = new google.auth.OAuth2(
     client_id,
     client_secret,
@@ -15,43 +23,206 @@ function loadCredentials() {
   return oAuth2Client;
 }
 
-export async function getAuthUrl() {
+export async function getAuthUrl(userId = DEFAULT_USER) {
   const oAuth2Client = loadCredentials();
   const authUrl = oAuth2Client.generateAuthUrl({
     access_type: "offline",
+    prompt: "consent", // always hand out a refresh token
     scope: SCOPES,
+    state: createOAuthState(userId, PROVIDER),
   });
   return authUrl;
 }
 
-export async function getAccessToken(code) {
+/**
+ * Exchange the callback code for tokens and store them for the user named by `state`.
+ * Returns the user id, or null when the state is unknown or expired.
+ */
+export async function getAccessToken(code, state) {
+  const userId = consumeOAuthState(state, PROVIDER);
+  if (!userId) {
+    log.warn("OAuth callback with unknown or expired state");
+    return null;
+  }
+
   const oAuth2Client = loadCredentials();
   const { tokens } = await oAuth2Client.getToken(code);
-  oAuth2Client.setCredentials(tokens);
-  fs.writeFileSync(TOKEN_PATH, JSON.stringify(tokens));
-  console.log("✅ Token stored to", TOKEN_PATH);
-  return true;
+  saveToken(userId, PROVIDER, tokens);
+  log.info("Google token stored", { userId });
+  return userId;
 }
 
-export async function authorize() {
-  const oAuth2Client = loadCredentials();
-  if (fs.existsSync(TOKEN_PATH)) {
-    const token = JSON.parse(fs.readFileSync(TOKEN_PATH));
-    oAuth2Client.setCredentials(token);
-  } else {
-    throw new Error("⚠️ No token.json found. Visit /auth to generate one first.");
+/**
+ * OAuth client for the user; refreshed access tokens are written back to the store.
+ */
+export async function authorize(userId = DEFAULT_USER) {
+  const token = getToken(userId, PROVIDER);
+  if (!token) {
+    throw new Error(`⚠️ No Google authorization for user ${userId}. Visit /auth?user_id=${encodeURIComponent(userId)} first.`);
   }
+
+  const oAuth2Client = loadCredentials();
+  oAuth2Client.setCredentials(token);
+  oAuth2Client.on("tokens", (tokens) => updateToken(userId, PROVIDER, tokens));
   return oAuth2Client;
 }
 
-export async function getUpcomingEvents(auth) {
+/**
+ * Revoke the user's Google grant (best effort) and forget the stored tokens.
+ */
+export async function revokeAccess(userId) {
+  const token = getToken(userId, PROVIDER);
+  if (!token) return false;
+
+  try {
+    await loadCredentials().revokeToken(token.refresh_token || token.access_token);
+  } catch (err) {
+    log.warn("Google revoke failed", { userId, err });
+  }
+  return deleteToken(userId, PROVIDER);
+}
+
+/**
+ * The user's calendar timezone, falling back to TIMEZONE / the server's zone.
+ */
+export async function getUserTimeZone(auth, { signal } = {}) {
+  try {
+    const calendar = google.calendar({ version: "v3", auth });
+    const res = await calendar.settings.get({ setting: "timezone" }, { signal });
+    return res.data.value || defaultTimeZone();
+  } catch (err) {
+    return defaultTimeZone();
+  }
+}
+
+/**
+ * Calendars to read: GOOGLE_CALENDAR_IDS (comma separated) or every calendar selected in the user's list.
+ */
+export async function getCalendarIds(auth, { signal } = {}) {
+  if (process.env.GOOGLE_CALENDAR_IDS) {
+    return process.env.GOOGLE_CALENDAR_IDS.split(",").map((id) => id.trim()).filter(Boolean);
+  }
   const calendar = google.calendar({ version: "v3", auth });
-  const res = await calendar.events.list({
-    calendarId: "primary",
-    timeMin: new Date().toISOString(),
-    maxResults: 5,
-    singleEvents: true,
-    orderBy: "startTime",
-  });
-  return res.data.items || [];
+  const res = await calendar.calendarList.list({ minAccessRole: "reader" }, { signal });
+  const ids = (res.data.items || []).filter((c) => c.selected || c.primary).map((c) => c.id);
+  return ids.length ? ids : ["primary"];
+}
+
+/**
+ * Events across the given calendars, merged and sorted by start time.
+ * Without timeMax this returns the next `maxResults` events.
+ */
+export async function getUpcomingEvents(auth, { timeMin, timeMax, calendarIds = ["primary"], maxResults = 5, signal } = {}) {
+  const calendar = google.calendar({ version: "v3", auth });
+  const lists = await Promise.all(
+    calendarIds.map(async (calendarId) => {
+      const res = await calendar.events.list(
+        {
+          calendarId,
+          timeMin: (timeMin || new Date()).toISOString(),
+          timeMax: timeMax ? timeMax.toISOString() : undefined,
+          maxResults: timeMax ? 250 : maxResults,
+          singleEvents: true,
+          orderBy: "startTime",
+        },
+        { signal }
+      );
+      return (res.data.items || []).map((e) => ({ ...e, calendarId }));
+    })
+  );
+
+  const events = lists.flat().sort((a, b) => eventStart(a) - eventStart(b));
+  return timeMax ? events : events.slice(0, maxResults);
+}
+
+function eventStart(e) {
+  return new Date(e.start.dateTime || e.start.date).getTime();
+}
+
+/**
+ * Busy intervals across the given calendars, merged into non-overlapping blocks.
+ */
+export async function getBusyIntervals(auth, { timeMin, timeMax, timeZone, calendarIds = ["primary"], signal }) {
+  const calendar = google.calendar({ version: "v3", auth });
+  const res = await calendar.freebusy.query(
+    {
+      requestBody: {
+        timeMin: timeMin.toISOString(),
+        timeMax: timeMax.toISOString(),
+        timeZone,
+        items: calendarIds.map((id) => ({ id })),
+      },
+    },
+    { signal }
+  );
+
+  const intervals = Object.values(res.data.calendars || {})
+    .flatMap((c) => c.busy || [])
+    .map((b) => ({ start: new Date(b.start), end: new Date(b.end) }));
+  return mergeIntervals(intervals);
+}
+
+export function mergeIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      if (interval.end > last.end) last.end = interval.end;
+    } else {
+      merged.push({ start: new Date(interval.start), end: new Date(interval.end) });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Slot length mentioned in a free/busy query, in minutes (default 30).
+ */
+export function parseAvailabilityQuery(query) {
+  const text = query.toLowerCase();
+
+  let durationMinutes = 30;
+  const duration = /\b(\d+(?:\.\d+)?)\s*-?\s*(hours?|hrs?|h|minutes?|mins?|m)\b/.exec(text);
+  if (duration) {
+    const amount = Number(duration[1]);
+    durationMinutes = Math.round(duration[2].startsWith("h") ? amount * 60 : amount);
+  } else if (/\bhalf an hour\b/.test(text)) {
+    durationMinutes = 30;
+  } else if (/\b(an|one) hour\b/.test(text)) {
+    durationMinutes = 60;
+  }
+
+  return { durationMinutes };
+}
+
+/**
+ * Open slots of at least `durationMinutes` between `start` and `end`, limited to working hours
+ * unless `workingHoursOnly` is false (e.g. the user asked about a specific part of the day).
+ */
+export function findFreeSlots(busy, { start, end, timeZone, durationMinutes = 30, workingHoursOnly = true, now = new Date() }) {
+  const [workStart, workEnd] = workingHoursOnly
+    ? [Number(process.env.WORKDAY_START_HOUR) || 9, Number(process.env.WORKDAY_END_HOUR) || 18]
+    : [0, 24];
+  const minLength = durationMinutes * 60 * 1000;
+  const slots = [];
+
+  for (let day = startOfZonedDay(start, timeZone); day < end; day = startOfZonedDay(day, timeZone, 1)) {
+    const p = getZonedParts(day, timeZone);
+    const windowStart = new Date(
+      Math.max(zonedTimeToDate({ ...p, hour: workStart }, timeZone), start, now)
+    );
+    const windowEnd = new Date(Math.min(zonedTimeToDate({ ...p, hour: workEnd }, timeZone), end));
+    if (windowEnd - windowStart < minLength) continue;
+
+    let cursor = windowStart;
+    for (const block of busy) {
+      if (block.end <= cursor || block.start >= windowEnd) continue;
+      if (block.start - cursor >= minLength) slots.push({ start: cursor, end: new Date(block.start) });
+      if (block.end > cursor) cursor = new Date(block.end);
+    }
+    if (windowEnd - cursor >= minLength) slots.push({ start: cursor, end: windowEnd });
+  }
+
+  return slots;
 }
@@ -0,0 +1,19 @@
+// ingest.js
+// Usage: node ingest.js <file-or-directory> [...more]   (defaults to ./knowledge)
+import { ingestPath, indexStats } from "./documentIndex.js";
+
+const targets = process.argv.slice(2);
+if (!targets.length) targets.push(process.env.KNOWLEDGE_DIR || "./knowledge");
+
+for (const target of targets) {
+  try {
+    const result = ingestPath(target);
+    console.log(`✅ ${target}: ${result.files} files, ${result.chunks} chunks`);
+  } catch (err) {
+    console.error(`❌ ${target}: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+const stats = indexStats();
+console.log(`📚 Index now holds ${stats.chunks} chunks from ${stats.sources} sources`);
@@ -0,0 +1,345 @@
+// intentAnalyzer.js
+import fs from "fs";
+import { listRoutableConnectors, getFallbackConnector } from "./connectorRegistry.js";
+import { compileIntentRules, scoreRules, describeIntentRules } from "./intentRules.js";
+import { parseTimeExpression } from "./timeParser.js";
+import { getLLMClient, llmRequestOptions, trackLlmCall } from "./llmClient.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("intent");
+
+const RULES_FILE = process.env.INTENT_RULES_PATH || "./intentRules.json";
+
+let connectorRules = { version: 1, source: "connector defaults", connectors: {} };
+let rulesStatus = { file: RULES_FILE, loadedAt: null, lastError: null };
+let watcher = null;
+
+// --------------------------------------------------
+// Load connector rules (registry keywords + intentRules.json overrides)
+// --------------------------------------------------
+/**
+ * Read, validate and activate the rules file. Throws with every validation error when the file is invalid;
+ * a missing file falls back to the keywords declared by each connector.
+ */
+export function loadIntentRules(file = RULES_FILE) {
+  let raw = {};
+  let source = "connector defaults";
+  if (fs.existsSync(file)) {
+    try {
+      raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      throw new Error(`Invalid intent rules in ${file}: ${err.message}`);
+    }
+    source = file;
+  } else {
+    log.warn("No intent rules file, using connector defaults", { file });
+  }
+
+  connectorRules = compileIntentRules(raw, source);
+  rulesStatus = { file, loadedAt: new Date().toISOString(), lastError: null };
+  log.info("Intent rules loaded", { file, version: connectorRules.version });
+  return connectorRules;
+}
+
+/**
+ * Reload the rules file whenever it changes. An invalid edit is logged and the previous rules stay active.
+ */
+export function watchIntentRules(file = RULES_FILE) {
+  if (watcher) return;
+  watcher = fs.watchFile(file, { interval: 1000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    reloadIntentRules(file);
+  });
+  watcher.unref();
+}
+
+/**
+ * Reload now; returns { ok, error? } instead of throwing so a bad edit never takes routing down.
+ */
+export function reloadIntentRules(file = rulesStatus.file) {
+  try {
+    loadIntentRules(file);
+    log.info("Reloaded intent rules", { file });
+    return { ok: true };
+  } catch (err) {
+    log.error("Keeping previous intent rules", { file, err });
+    rulesStatus = { ...rulesStatus, lastError: err.message };
+    return { ok: false, error: err.message };
+  }
+}
+
+export function getIntentRulesStatus() {
+  return { ...rulesStatus, watching: Boolean(watcher), ...describeIntentRules(connectorRules) };
+}
+
+// --------------------------------------------------
+// Rule-based analyzer
+// --------------------------------------------------
+export function ruleBasedAnalyzer(query, rules = connectorRules, timeOptions = {}) {
+  const scores = scoreRules(query, rules);
+  const matches = Object.fromEntries(Object.entries(scores).map(([conn, s]) => [conn, s.hits]));
+  const connectors = Object.keys(matches);
+
+  // Extract the time range ({ start, end, granularity }) shared by every connector
+  const timeRange = parseTimeExpression(query, timeOptions);
+
+  const fallback = getFallbackConnector();
+  return {
+    connectors: connectors.length || !fallback ? connectors : [fallback.name],
+    timeRange,
+    matches,
+    ruleScores: Object.fromEntries(Object.entries(scores).map(([conn, s]) => [conn, s.score])),
+  };
+}
+
+// --------------------------------------------------
+// LLM-based analyzer (schema-enforced structured output)
+// --------------------------------------------------
+function classificationSchema(names) {
+  return {
+    type: "object",
+    additionalProperties: false,
+    required: ["connectors", "entities"],
+    properties: {
+      connectors: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          required: ["connector", "confidence", "rationale"],
+          properties: {
+            connector: { type: "string", enum: names },
+            confidence: { type: "number", description: "0 to 1" },
+            rationale: { type: "string" },
+          },
+        },
+      },
+      entities: {
+        type: "object",
+        additionalProperties: false,
+        required: ["repo", "time_expression", "person", "project"],
+        properties: {
+          repo: { type: ["string", "null"] },
+          time_expression: { type: ["string", "null"] },
+          person: { type: ["string", "null"] },
+          project: { type: ["string", "null"] },
+        },
+      },
+    },
+  };
+}
+
+function stripCodeFence(text) {
+  const fenced = /^```(?:json)?\s*([\s\S]*?)\s*```$/.exec(text.trim());
+  return fenced ? fenced[1] : text.trim();
+}
+
+/**
+ * Validate the classifier output against the registered connectors.
+ * Unknown connectors are dropped, confidences clamped to [0, 1], duplicates keep the highest vote.
+ */
+export function validateClassification(raw, names) {
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.connectors)) {
+    throw new Error("Classifier output is not an object with a connectors array");
+  }
+
+  const votes = {};
+  for (const vote of raw.connectors) {
+    if (!vote || !names.includes(vote.connector)) {
+      log.warn("LLM analyzer returned unknown connector", { connector: vote && vote.connector });
+      continue;
+    }
+    const confidence = Math.min(1, Math.max(0, Number(vote.confidence) || 0));
+    if (!votes[vote.connector] || votes[vote.connector].confidence < confidence) {
+      votes[vote.connector] = { connector: vote.connector, confidence, rationale: String(vote.rationale || "") };
+    }
+  }
+
+  const entities = {};
+  for (const [key, value] of Object.entries(raw.entities || {})) {
+    if (typeof value === "string" && value.trim()) entities[key] = value.trim();
+  }
+  return { votes: Object.values(votes), entities };
+}
+
+/**
+ * Returns { votes: [{ connector, confidence, rationale }], entities } or null when the LLM is unavailable.
+ * `previousQuery` lets the classifier resolve follow-ups like "and tomorrow?".
+ */
+export async function llmAnalyzer(query, { previousQuery = null } = {}) {
+  const names = listRoutableConnectors().map((c) => c.name);
+  const descriptions = listRoutableConnectors()
+    .map((c) => `- ${c.name}: ${c.description}`)
+    .join("\n");
+
+  try {
+    const response = await trackLlmCall("intent", () =>
+      getLLMClient().chat.completions.create(
+        {
+          model: "gpt-4o-mini",
+          messages: [
+            {
+              role: "system",
+              content: `You are a classifier that maps user queries to connectors. Possible connectors:\n${descriptions}\nReturn every connector needed to answer the query with a confidence between 0 and 1 and a one-sentence rationale, and extract the repository name, time expression, person and project mentioned (null when absent).`,
+            },
+            ...(previousQuery ? [{ role: "system", content: `Previous question in this conversation: ${previousQuery}` }] : []),
+            { role: "user", content: query },
+          ],
+          response_format: {
+            type: "json_schema",
+            json_schema: { name: "connector_classification", strict: true, schema: classificationSchema(names) },
+          },
+        },
+        llmRequestOptions()
+      )
+    );
+
+    const text = response.choices[0].message.content;
+    return validateClassification(JSON.parse(stripCodeFence(text)), names);
+  } catch (error) {
+    log.warn("LLM analyzer failed, using rules only", { err: error });
+    return null;
+  }
+}
+
+// --------------------------------------------------
+// Hybrid analyzer (weighted rule + LLM votes)
+// --------------------------------------------------
+// 0 is a valid weight (it mutes that side); unset, empty or invalid values use the default
+function envWeight(name, fallback) {
+  const raw = process.env[name];
+  const value = Number(raw);
+  return raw !== undefined && raw.trim() !== "" && Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+const RULE_WEIGHT = envWeight("INTENT_RULE_WEIGHT", 0.5);
+const LLM_WEIGHT = envWeight("INTENT_LLM_WEIGHT", 0.5);
+const SELECT_THRESHOLD = 0.3; // combined score needed to query a connector
+const CONFIDENT_THRESHOLD = 0.6; // below this the choice is reported as low confidence
+
+/**
+ * Confidence of a keyword vote: a score of 1 is a fair signal, higher scores a strong one.
+ */
+function ruleConfidence(score) {
+  if (!score) return 0;
+  return Math.min(0.9, 0.4 + 0.2 * score);
+}
+
+/**
+ * Merge rule and LLM votes into per-connector scores.
+ * When the LLM is unavailable the rule votes carry the full weight.
+ */
+export function mergeVotes(ruleResult, llmResult) {
+  const llmVotes = Object.fromEntries(((llmResult && llmResult.votes) || []).map((v) => [v.connector, v]));
+  const names = new Set([...Object.keys(ruleResult.matches), ...Object.keys(llmVotes)]);
+  const [ruleWeight, llmWeight] = llmResult ? [RULE_WEIGHT, LLM_WEIGHT] : [1, 0];
+  const total = ruleWeight + llmWeight || 1;
+
+  return [...names]
+    .map((connector) => {
+      const rule = ruleConfidence(ruleResult.ruleScores[connector]);
+      const llm = llmVotes[connector] ? llmVotes[connector].confidence : 0;
+      return {
+        connector,
+        rule: Math.round(rule * 100) / 100,
+        llm: llmResult ? llm : null,
+        combined: Math.round(((rule * ruleWeight + llm * llmWeight) / total) * 100) / 100,
+        keywords: ruleResult.matches[connector] || [],
+        rationale: llmVotes[connector] ? llmVotes[connector].rationale : null,
+      };
+    })
+    .sort((a, b) => b.combined - a.combined);
+}
+
+// A query continues the previous turn only when it says so: it opens with a connective ("and tomorrow?",
+// "what about the billing repo?") or with a pronoun pointing back ("those failing too?", "it again tomorrow")
+const FOLLOW_UP_RE = /^\s*(and|also|then|what about|how about|same for)\b/i;
+const FOLLOW_UP_PRONOUN_RE = /^\s*(it|its|they|them|those|these|that one|this one|the same)\b/i;
+
+function isFollowUp(query, session) {
+  if (!session || !session.turns.length) return false;
+  return FOLLOW_UP_RE.test(query) || FOLLOW_UP_PRONOUN_RE.test(query);
+}
+
+/**
+ * Route a query. `options.rules` replaces the loaded connector rules (used by the eval harness);
+ * `options.session` (from sessionStore) carries connectors, time range and entities into follow-ups;
+ * `options.now` and `options.timeZone` are passed to parseTimeExpression.
+ */
+export async function analyzeIntent(query, { rules, session = null, now, timeZone } = {}) {
+  const timeOptions = { now, timeZone };
+  const ruleResult = ruleBasedAnalyzer(query, rules, timeOptions);
+  const followUp = isFollowUp(query, session);
+  const previous = followUp ? session.context : null;
+  const previousQuery = session && session.turns.length ? session.turns[session.turns.length - 1].query : null;
+
+  const llmResult = await llmAnalyzer(query, { previousQuery });
+
+  const scores = mergeVotes(ruleResult, llmResult);
+  let connectors = scores.filter((s) => s.combined >= SELECT_THRESHOLD).map((s) => s.connector);
+  const lowConfidence = scores
+    .filter((s) => s.combined >= SELECT_THRESHOLD && s.combined < CONFIDENT_THRESHOLD)
+    .map((s) => s.connector);
+
+  const carriedOver = [];
+  let needsClarification = lowConfidence.length > 0;
+  if (!connectors.length && previous && previous.connectors.length) {
+    connectors = previous.connectors;
+    carriedOver.push("connectors");
+  } else if (!connectors.length) {
+    const fallback = getFallbackConnector();
+    connectors = fallback ? [fallback.name] : [];
+    needsClarification = true;
+  }
+
+  // The LLM can recover a time range the rule parser missed
+  const entities = { ...((llmResult && llmResult.entities) || {}) };
+  let timeRange = ruleResult.timeRange || (entities.time_expression ? parseTimeExpression(entities.time_expression, timeOptions) : null);
+  if (!timeRange && previous && previous.timeRange) {
+    timeRange = previous.timeRange;
+    carriedOver.push("timeRange");
+  }
+  if (previous) {
+    for (const [key, value] of Object.entries(previous.entities)) {
+      if (key === "time_expression" || key in entities) continue;
+      entities[key] = value;
+      carriedOver.push(`entities.${key}`);
+    }
+  }
+
+  let clarification = null;
+  if (needsClarification) {
+    clarification = lowConfidence.length
+      ? `I'm not sure these sources are right: ${lowConfidence.join(", ")}. Can you say which tool or data you mean?`
+      : "I couldn't tell which data source this is about. Can you mention the tool (calendar, GitHub, AWS, ...)?";
+  }
+
+  return {
+    connectors,
+    timeRange,
+    entities,
+    scores,
+    lowConfidence,
+    needsClarification,
+    clarification,
+    llmAvailable: Boolean(llmResult),
+    followUp,
+    carriedOver,
+  };
+}
+
+/**
+ * Routing details for API responses, so clients can ask the user to clarify low-confidence picks.
+ */
+export function describeRouting(intent) {
+  return {
+    scores: intent.scores,
+    entities: intent.entities,
+    low_confidence: intent.lowConfidence,
+    needs_clarification: intent.needsClarification,
+    clarification: intent.clarification,
+    llm_available: intent.llmAvailable,
+    follow_up: intent.followUp,
+    carried_over: intent.carriedOver,
+  };
+}
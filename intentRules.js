@@ -0,0 +1,205 @@
+// intentRules.js
+// Parses, validates and compiles intentRules.json into matchers for the rule-based analyzer.
+//
+// Version 2 format:
+// {
+//   "version": 2,
+//   "connectors": {
+//     "google_calendar": {
+//       "keywords": ["meeting", { "term": "calendar", "weight": 2 }, { "regex": "\\bfree (at|on)\\b" }],
+//       "negative": ["freeze"],
+//       "synonyms": { "meeting": ["standup", "1:1"] },
+//       "minScore": 1
+//     }
+//   }
+// }
+//
+// Plain terms match whole words (plurals included), regexes are case-insensitive.
+// The legacy flat map { "connector": ["keyword", ...] } is read as version 1.
+import { listConnectors, listRoutableConnectors } from "./connectorRegistry.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("intentRules");
+
+export const RULES_VERSION = 2;
+const DEFAULT_MIN_SCORE = 1;
+const CONNECTOR_FIELDS = ["keywords", "negative", "synonyms", "minScore"];
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Whole-word matcher for a term: "pull request" also matches "pull   requests" but "issue" not "tissue".
+ */
+export function termRegex(term) {
+  const body = escapeRegex(term.trim().toLowerCase()).replace(/\s+/g, "\\s+");
+  return new RegExp(`(?<![a-z0-9])${body}(?:s|es)?(?![a-z0-9])`, "i");
+}
+
+function checkWeight(weight, where, errors) {
+  if (weight === undefined) return 1;
+  if (typeof weight !== "number" || !Number.isFinite(weight) || weight <= 0) {
+    errors.push(`${where}.weight must be a positive number`);
+    return 1;
+  }
+  return weight;
+}
+
+// One keyword/negative entry: "term", { term, weight } or { regex, weight }
+function compileEntry(entry, where, errors) {
+  if (typeof entry === "string") entry = { term: entry };
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    errors.push(`${where} must be a string, { "term": ... } or { "regex": ... }`);
+    return null;
+  }
+
+  const weight = checkWeight(entry.weight, where, errors);
+  if (typeof entry.term === "string" && entry.term.trim()) {
+    return { term: entry.term.trim().toLowerCase(), weight, regex: termRegex(entry.term) };
+  }
+  if (typeof entry.regex === "string") {
+    try {
+      return { pattern: entry.regex, weight, regex: new RegExp(entry.regex, "i") };
+    } catch (err) {
+      errors.push(`${where}.regex is not a valid regular expression (${err.message})`);
+      return null;
+    }
+  }
+  errors.push(`${where} needs a non-empty "term" or a "regex"`);
+  return null;
+}
+
+function compileList(list, where, errors) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) {
+    errors.push(`${where} must be an array`);
+    return [];
+  }
+  return list.map((entry, i) => compileEntry(entry, `${where}[${i}]`, errors)).filter(Boolean);
+}
+
+function compileConnector(name, spec, defaults, errors) {
+  const where = `connectors.${name}`;
+  for (const key of Object.keys(spec)) {
+    if (!CONNECTOR_FIELDS.includes(key)) errors.push(`${where}.${key} is not a known field (${CONNECTOR_FIELDS.join(", ")})`);
+  }
+
+  const keywords = compileList(spec.keywords === undefined ? defaults : spec.keywords, `${where}.keywords`, errors);
+  const negative = compileList(spec.negative, `${where}.negative`, errors);
+
+  // Synonyms match like the keyword they stand for, with its weight
+  const synonyms = spec.synonyms === undefined ? {} : spec.synonyms;
+  if (!synonyms || typeof synonyms !== "object" || Array.isArray(synonyms)) {
+    errors.push(`${where}.synonyms must be an object of keyword → [synonyms]`);
+  } else {
+    for (const [term, alternatives] of Object.entries(synonyms)) {
+      const keyword = keywords.find((k) => k.term === term.toLowerCase());
+      if (!keyword) errors.push(`${where}.synonyms.${term} has no matching keyword`);
+      if (!Array.isArray(alternatives) || alternatives.some((a) => typeof a !== "string" || !a.trim())) {
+        errors.push(`${where}.synonyms.${term} must be an array of non-empty strings`);
+        continue;
+      }
+      for (const alternative of alternatives) {
+        keywords.push({ term: alternative.toLowerCase(), synonymOf: term, weight: keyword ? keyword.weight : 1, regex: termRegex(alternative) });
+      }
+    }
+  }
+
+  const minScore = spec.minScore === undefined ? DEFAULT_MIN_SCORE : spec.minScore;
+  if (typeof minScore !== "number" || !Number.isFinite(minScore) || minScore <= 0) {
+    errors.push(`${where}.minScore must be a positive number`);
+  }
+
+  return { keywords, negative, synonyms, minScore };
+}
+
+/**
+ * Validate raw rules (parsed JSON) and compile them for every routable connector.
+ * Connectors without an entry keep the keywords they declare. Throws one error listing every problem.
+ */
+export function compileIntentRules(raw = {}, source = "intentRules.json") {
+  const errors = [];
+  let version = 1;
+  let specs = {};
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push("top level must be an object");
+  } else if (raw.version === undefined) {
+    // Legacy: { connector: [keywords] }
+    for (const [name, keywords] of Object.entries(raw)) specs[name] = { keywords };
+  } else if (raw.version !== RULES_VERSION) {
+    errors.push(`version ${JSON.stringify(raw.version)} is not supported (expected ${RULES_VERSION})`);
+  } else if (!raw.connectors || typeof raw.connectors !== "object" || Array.isArray(raw.connectors)) {
+    errors.push("connectors must be an object keyed by connector name");
+  } else {
+    version = RULES_VERSION;
+    specs = raw.connectors;
+    for (const key of Object.keys(raw)) {
+      if (key !== "version" && key !== "connectors") errors.push(`${key} is not a known top-level field`);
+    }
+  }
+
+  const known = new Set(listConnectors().map((c) => c.name));
+  for (const name of Object.keys(specs)) {
+    if (!known.has(name)) log.warn("Ignoring rules for unregistered connector", { connector: name, source });
+  }
+
+  const connectors = {};
+  for (const connector of listRoutableConnectors()) {
+    const spec = specs[connector.name] || {};
+    if (typeof spec !== "object" || Array.isArray(spec)) {
+      errors.push(`connectors.${connector.name} must be an object`);
+      continue;
+    }
+    connectors[connector.name] = compileConnector(connector.name, spec, connector.keywords, errors);
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid intent rules in ${source}:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+  }
+  return { version, source, connectors };
+}
+
+/**
+ * Score a query against compiled rules: { [connector]: { score, hits } } for connectors that reach their
+ * minimum score and hit no negative keyword.
+ */
+export function scoreRules(query, rules) {
+  const results = {};
+  for (const [name, rule] of Object.entries(rules.connectors)) {
+    if (rule.negative.some((n) => n.regex.test(query))) continue;
+
+    let score = 0;
+    const hits = [];
+    for (const keyword of rule.keywords) {
+      if (!keyword.regex.test(query)) continue;
+      score += keyword.weight;
+      hits.push(keyword.term || keyword.pattern);
+    }
+    if (hits.length && score >= rule.minScore) results[name] = { score, hits };
+  }
+  return results;
+}
+
+/**
+ * JSON-friendly view of compiled rules for the admin endpoint.
+ */
+export function describeIntentRules(rules) {
+  const entry = (e) => ({ ...(e.term ? { term: e.term } : { regex: e.pattern }), weight: e.weight });
+  return {
+    version: rules.version,
+    source: rules.source,
+    connectors: Object.fromEntries(
+      Object.entries(rules.connectors).map(([name, rule]) => [
+        name,
+        {
+          keywords: rule.keywords.filter((k) => !k.synonymOf).map(entry),
+          negative: rule.negative.map(entry),
+          synonyms: rule.synonyms,
+          minScore: rule.minScore,
+        },
+      ])
+    ),
+  };
+}
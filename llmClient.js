@@ -0,0 +1,135 @@
+// llmClient.js
+// Shared OpenAI-compatible client. Point OPENAI_BASE_URL (or configureLLM) at a local mock for tests.
+import OpenAI from "openai";
+import { getRequestContext } from "./logger.js";
+import { recordLlmCall } from "./metrics.js";
+import { withSpan } from "./tracing.js";
+import { assertLlmBudget, recordLlmTokens } from "./usageLimits.js";
+
+const DEFAULT_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini";
+// Chat-completions models that accept web_search_options, used when the context manager asks for search
+const SEARCH_MODEL = process.env.OPENAI_SEARCH_MODEL || "gpt-4o-mini-search-preview";
+
+let client = null;
+let model = DEFAULT_MODEL;
+
+/**
+ * Override the client (any object with `chat.completions.create`) or its connection settings.
+ */
+export function configureLLM(options = {}) {
+  if (options.client) client = options.client;
+  else if (options.baseURL || options.apiKey) {
+    client = new OpenAI({ apiKey: options.apiKey || process.env.OPENAI_API_KEY, baseURL: options.baseURL });
+  }
+  if (options.model) model = options.model;
+}
+
+export function getLLMClient() {
+  if (!client) client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  return client;
+}
+
+export function getModel() {
+  return model;
+}
+
+/**
+ * Per-call options for `chat.completions.create`: the abort signal and the current request ID, so
+ * provider-side logs can be matched with ours.
+ */
+export function llmRequestOptions(signal) {
+  const context = getRequestContext();
+  return { signal, ...(context ? { headers: { "X-Request-Id": context.requestId } } : {}) };
+}
+
+/**
+ * Run one LLM call as an "llm:<purpose>" span and count it (and its `usage`) in the LLM metrics.
+ * `fn` resolves with an object carrying the OpenAI `usage`. The tokens are charged to the API key of
+ * the current request context, and the call is refused (assertLlmBudget) once its daily quota is spent.
+ */
+export async function trackLlmCall(purpose, fn) {
+  const context = getRequestContext();
+  const auth = context ? context.auth : null;
+  assertLlmBudget(auth);
+  try {
+    const result = await withSpan(`llm:${purpose}`, fn);
+    recordLlmCall(purpose, "ok", result.usage);
+    recordLlmTokens(auth, result.usage);
+    return result;
+  } catch (err) {
+    recordLlmCall(purpose, err.name === "AbortError" || err.name === "APIUserAbortError" ? "aborted" : "error");
+    throw err;
+  }
+}
+
+function wantsSearch(tools) {
+  return Array.isArray(tools) && tools.some((t) => t && t.google_search);
+}
+
+/**
+ * Chat messages for the final answer. Live connector data is already part of the assembled prompt.
+ */
+export function buildAnswerMessages({ finalPrompt }) {
+  return [
+    {
+      role: "system",
+      content:
+        "You answer questions for a developer using retrieved documents and live data from their tools. Prefer the live data for anything about current state, and say so when data is missing or failed to load.",
+    },
+    { role: "user", content: finalPrompt.trim() },
+  ];
+}
+
+function requestFor({ finalPrompt, tools, user_id }) {
+  const search = wantsSearch(tools);
+  const request = {
+    model: search ? SEARCH_MODEL : model,
+    messages: buildAnswerMessages({ finalPrompt }),
+  };
+  if (search) request.web_search_options = {};
+  if (user_id) request.user = String(user_id);
+  return request;
+}
+
+/**
+ * Call the configured model once and return the full answer.
+ */
+export async function callLLMApi({ finalPrompt, tools, user_id, signal }) {
+  const request = requestFor({ finalPrompt, tools, user_id });
+  return trackLlmCall("answer", async () => {
+    const response = await getLLMClient().chat.completions.create(request, llmRequestOptions(signal));
+    return {
+      llm_response_text: response.choices[0].message.content || "",
+      model: response.model || request.model,
+      usage: response.usage || null,
+    };
+  });
+}
+
+/**
+ * Stream the answer: calls `onToken(text)` for every delta and resolves with the same shape as callLLMApi.
+ */
+export async function streamLLMApi({ finalPrompt, tools, user_id, signal }, onToken) {
+  const request = requestFor({ finalPrompt, tools, user_id });
+  return trackLlmCall("answer", async () => {
+    const stream = await getLLMClient().chat.completions.create(
+      { ...request, stream: true, stream_options: { include_usage: true } },
+      llmRequestOptions(signal)
+    );
+
+    let text = "";
+    let usage = null;
+    let responseModel = request.model;
+    for await (const chunk of stream) {
+      if (chunk.model) responseModel = chunk.model;
+      if (chunk.usage) usage = chunk.usage;
+      const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+    }
+
+    return { llm_response_text: text, model: responseModel, usage };
+  });
+}
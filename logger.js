@@ -0,0 +1,64 @@
+// logger.js
+// Structured logging with levels, tagged with the current request's ID.
+//
+// LOG_LEVEL: debug | info (default) | warn | error
+// LOG_FORMAT: json (default, one object per line) | pretty (for a terminal)
+//
+// Lines go through console.log / console.error, so mcpStdio.js's redirect keeps stdout clean.
+import { AsyncLocalStorage } from "async_hooks";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+const FORMAT = process.env.LOG_FORMAT || "json";
+
+const requestStore = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with a request context ({ requestId, spans, ... }) visible to every log line and span below it.
+ */
+export function runWithRequestContext(context, fn) {
+  return requestStore.run(context, fn);
+}
+
+export function getRequestContext() {
+  return requestStore.getStore() || null;
+}
+
+function serializeError(err) {
+  if (!(err instanceof Error)) return err;
+  return { name: err.name, message: err.message, ...(err.code ? { code: err.code } : {}), stack: err.stack };
+}
+
+function write(level, component, message, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const context = getRequestContext();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    component,
+    ...(context ? { requestId: context.requestId } : {}),
+    message,
+    ...Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, v instanceof Error ? serializeError(v) : v])),
+  };
+
+  const line =
+    FORMAT === "pretty"
+      ? `${entry.time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${component}${context ? ` [${context.requestId.slice(0, 8)}]` : ""} ${message}` +
+        (Object.keys(fields).length ? ` ${JSON.stringify(fields, (k, v) => (v instanceof Error ? v.message : v))}` : "")
+      : JSON.stringify(entry);
+  if (LEVELS[level] >= LEVELS.warn) console.error(line);
+  else console.log(line);
+}
+
+/**
+ * Logger for one module: log.info("Connector fetched", { connector, latencyMs }).
+ * Pass errors as a field (`{ err }`) to get their message, code and stack.
+ */
+export function createLogger(component) {
+  return {
+    debug: (message, fields) => write("debug", component, message, fields),
+    info: (message, fields) => write("info", component, message, fields),
+    warn: (message, fields) => write("warn", component, message, fields),
+    error: (message, fields) => write("error", component, message, fields),
+  };
+}
@@ -0,0 +1,292 @@
+// mcpServer.js
+// Model Context Protocol (JSON-RPC 2.0) front-end for the connector registry.
+import express from "express";
+import { randomUUID } from "crypto";
+import readline from "readline";
+import { getConnector, listConnectors, checkHealth, fetchConnector } from "./connectorRegistry.js";
+import { analyzeIntent, describeRouting } from "./intentAnalyzer.js";
+import { parseTimeExpression } from "./timeParser.js";
+import { requireAuth, hasScope, filterConnectorsByScope, resolveUserId } from "./apiKeys.js";
+import { withSpan } from "./tracing.js";
+
+const SUPPORTED_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+const SERVER_INFO = { name: "datathon-mcp", version: "1.0.0" };
+const ROUTE_TOOL = "route_query";
+// HTTP sessions idle for longer than this are forgotten
+const SESSION_IDLE_MS = Number(process.env.MCP_SESSION_IDLE_MS) || 30 * 60 * 1000;
+
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+class McpError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+const toolInputSchema = {
+  type: "object",
+  properties: {
+    query: { type: "string", description: "Natural-language question for the data source" },
+    time: { type: "string", description: "Optional time expression, e.g. \"tomorrow afternoon\", \"last 3 days\" or an ISO range" },
+    user_id: { type: "string", description: "User whose data should be read" },
+    no_cache: { type: "boolean", description: "Skip cached connector results and fetch fresh data" },
+  },
+  required: ["query"],
+};
+
+// Connectors the caller's API key may use (all of them when auth is disabled or over stdio)
+function visibleConnectors(auth) {
+  return listConnectors().filter((c) => hasScope(auth, c.name));
+}
+
+function listTools(auth) {
+  const tools = visibleConnectors(auth).map((c) => ({
+    name: c.name,
+    description: c.description || `Fetch data from ${c.name}`,
+    inputSchema: toolInputSchema,
+  }));
+  tools.push({
+    name: ROUTE_TOOL,
+    description: "Pick the relevant connectors for a query and fetch from all of them",
+    inputSchema: toolInputSchema,
+  });
+  return tools;
+}
+
+function toolResult(payload, isError = false) {
+  const result = {
+    content: [{ type: "text", text: payload.summary }],
+    isError,
+  };
+  if (payload.data !== undefined) result.structuredContent = { data: payload.data };
+  if (payload.status) {
+    const { status, latencyMs, attempts, error, cache } = payload;
+    result.structuredContent = { ...result.structuredContent, status, latencyMs, attempts, error, cache };
+  }
+  return result;
+}
+
+async function callTool({ name, arguments: args = {} }, { auth }) {
+  if (typeof args.query !== "string" || !args.query) {
+    throw new McpError(INVALID_PARAMS, "Tool argument 'query' is required");
+  }
+  // Permission problems are tool errors too, so the model can explain them
+  const userId = resolveUserId(auth, args.user_id);
+  if (!userId) return toolResult({ summary: `This API key cannot act for user "${args.user_id}"` }, true);
+
+  if (name === ROUTE_TOOL) {
+    const intent = await withSpan("intent", () => analyzeIntent(args.query));
+    const timeRange = args.time ? parseTimeExpression(args.time) : intent.timeRange;
+    const { allowed, denied } = filterConnectorsByScope(auth, intent.connectors);
+    if (!allowed.length && denied.length) {
+      return toolResult({ summary: `This API key may not use ${denied.join(", ")}` }, true);
+    }
+    const sources = await Promise.all(
+      allowed.map((conn) => fetchConnector(conn, userId, args.query, timeRange, { noCache: args.no_cache === true }))
+    );
+    return toolResult({
+      summary: sources.map((s) => s.summary).join(" ; "),
+      data: { connectors: allowed, deniedConnectors: denied, timeRange, routing: describeRouting(intent), sources },
+    });
+  }
+
+  const connector = getConnector(name);
+  if (!connector) throw new McpError(INVALID_PARAMS, `Unknown tool: ${name}`);
+  if (!hasScope(auth, name)) return toolResult({ summary: `This API key may not use ${name}` }, true);
+
+  // Connector failures are reported as tool errors, not protocol errors
+  const timeRange = parseTimeExpression(args.time || args.query);
+  const result = await fetchConnector(name, userId, args.query, timeRange, { noCache: args.no_cache === true });
+  return toolResult(result, result.status !== "ok");
+}
+
+function listResources(auth) {
+  return visibleConnectors(auth).map((c) => ({
+    uri: `connector://${c.name}`,
+    name: c.name,
+    description: c.description,
+    mimeType: "application/json",
+  }));
+}
+
+async function readResource({ uri }, { auth }) {
+  const match = /^connector:\/\/([\w-]+)$/.exec(uri || "");
+  const connector = match && hasScope(auth, match[1]) && getConnector(match[1]);
+  if (!connector) throw new McpError(INVALID_PARAMS, `Unknown resource: ${uri}`);
+
+  const health = await checkHealth(connector);
+  const body = {
+    name: connector.name,
+    description: connector.description,
+    keywords: connector.keywords,
+    fallback: connector.fallback,
+    health,
+  };
+  return { contents: [{ uri, mimeType: "application/json", text: JSON.stringify(body, null, 2) }] };
+}
+
+function initialize(params = {}) {
+  const requested = params.protocolVersion;
+  return {
+    protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0],
+    capabilities: { tools: { listChanged: false }, resources: { listChanged: false } },
+    serverInfo: SERVER_INFO,
+  };
+}
+
+const methods = {
+  initialize,
+  ping: () => ({}),
+  "tools/list": (params, { auth }) => ({ tools: listTools(auth) }),
+  "tools/call": callTool,
+  "resources/list": (params, { auth }) => ({ resources: listResources(auth) }),
+  "resources/read": readResource,
+};
+
+/**
+ * Handle one JSON-RPC message. Returns the response object, or null for notifications.
+ * `auth` is the HTTP caller's API key (null over stdio or when auth is disabled).
+ */
+export async function handleMcpMessage(message, { auth = null } = {}) {
+  const id = message && message.id !== undefined ? message.id : null;
+
+  if (!message || message.jsonrpc !== "2.0" || typeof message.method !== "string") {
+    return { jsonrpc: "2.0", id, error: { code: INVALID_REQUEST, message: "Invalid JSON-RPC request" } };
+  }
+
+  // Notifications (no id) never get a response
+  if (message.id === undefined) return null;
+
+  const handler = methods[message.method];
+  if (!handler) {
+    return { jsonrpc: "2.0", id, error: { code: METHOD_NOT_FOUND, message: `Method not found: ${message.method}` } };
+  }
+
+  try {
+    const result = await handler(message.params || {}, { auth });
+    return { jsonrpc: "2.0", id, result };
+  } catch (err) {
+    const code = err instanceof McpError ? err.code : INTERNAL_ERROR;
+    return { jsonrpc: "2.0", id, error: { code, message: err.message } };
+  }
+}
+
+/**
+ * Handle a single message or a batch; returns null when nothing needs to be sent back.
+ */
+export async function handleMcpPayload(payload, context = {}) {
+  if (Array.isArray(payload)) {
+    const responses = (await Promise.all(payload.map((message) => handleMcpMessage(message, context)))).filter(Boolean);
+    return responses.length ? responses : null;
+  }
+  return handleMcpMessage(payload, context);
+}
+
+// --------------------------------------------------
+// stdio transport (newline-delimited JSON)
+// --------------------------------------------------
+export function startStdioTransport(input = process.stdin, output = process.stdout) {
+  const rl = readline.createInterface({ input });
+
+  rl.on("line", async (line) => {
+    if (!line.trim()) return;
+
+    let payload;
+    try {
+      payload = JSON.parse(line);
+    } catch (err) {
+      output.write(JSON.stringify({ jsonrpc: "2.0", id: null, error: { code: PARSE_ERROR, message: "Parse error" } }) + "\n");
+      return;
+    }
+
+    const response = await handleMcpPayload(payload);
+    if (response) output.write(JSON.stringify(response) + "\n");
+  });
+
+  return rl;
+}
+
+// --------------------------------------------------
+// Streamable HTTP transport (JSON responses, session header)
+// --------------------------------------------------
+export function createMcpRouter() {
+  const router = express.Router();
+  const sessions = new Map(); // session id → { keyId of the API key that opened it, expiresAt }
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+      if (session.expiresAt < now) sessions.delete(id);
+    }
+  };
+  // The caller's live session, with its idle timer restarted; null when unknown, expired or another key's
+  const touchSession = (sessionId, keyId) => {
+    sweep();
+    const session = sessionId ? sessions.get(sessionId) : null;
+    if (!session || session.keyId !== keyId) return null;
+    session.expiresAt = Date.now() + SESSION_IDLE_MS;
+    return session;
+  };
+
+  router.use(requireAuth());
+  router.use(express.json());
+
+  router.post("/", async (req, res) => {
+    const payload = req.body;
+    const messages = Array.isArray(payload) ? payload : [payload];
+    const isInitialize = messages.some((m) => m && m.method === "initialize");
+    let sessionId = req.get("Mcp-Session-Id");
+    const keyId = req.auth ? req.auth.keyId : null;
+
+    if (isInitialize) {
+      sweep();
+      sessionId = randomUUID();
+      sessions.set(sessionId, { keyId, expiresAt: Date.now() + SESSION_IDLE_MS });
+    } else if (!sessionId) {
+      return res.status(400).json({
+        jsonrpc: "2.0",
+        id: null,
+        error: { code: INVALID_REQUEST, message: "Missing Mcp-Session-Id header" },
+      });
+    } else if (!touchSession(sessionId, keyId)) {
+      return res.status(404).json({
+        jsonrpc: "2.0",
+        id: null,
+        error: { code: INVALID_REQUEST, message: "Unknown or expired session" },
+      });
+    }
+
+    const response = await handleMcpPayload(payload, { auth: req.auth });
+    res.set("Mcp-Session-Id", sessionId);
+    if (!response) return res.status(202).end();
+    res.json(response);
+  });
+
+  // No server-initiated stream is offered
+  router.get("/", (req, res) => {
+    res.set("Allow", "POST, DELETE").status(405).end();
+  });
+
+  router.delete("/", (req, res) => {
+    const sessionId = req.get("Mcp-Session-Id");
+    const keyId = req.auth ? req.auth.keyId : null;
+    if (!touchSession(sessionId, keyId)) return res.status(404).end();
+    sessions.delete(sessionId);
+    res.status(204).end();
+  });
+
+  // Malformed JSON bodies become JSON-RPC parse errors
+  router.use((err, req, res, next) => {
+    if (err.type === "entity.parse.failed") {
+      return res.status(400).json({ jsonrpc: "2.0", id: null, error: { code: PARSE_ERROR, message: "Parse error" } });
+    }
+    next(err);
+  });
+
+  return router;
+}
@@ -0,0 +1,14 @@
+// mcpStdio.js
+// Runs the MCP server over stdio, e.g. `node mcpStdio.js` from an IDE or agent client.
+import "dotenv/config"; // first, so modules that read settings at import time see .env
+import { loadConnectors } from "./connectorRegistry.js";
+import { loadIntentRules, watchIntentRules } from "./intentAnalyzer.js";
+import { startStdioTransport } from "./mcpServer.js";
+
+// stdout carries the protocol, so all diagnostics go to stderr
+console.log = console.error;
+
+await loadConnectors();
+loadIntentRules();
+watchIntentRules();
+startStdioTransport();
@@ -0,0 +1,98 @@
+// metrics.js
+// In-process counters and histograms rendered in the Prometheus text exposition format for GET /metrics.
+
+const DURATION_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const registry = [];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map((k) => [k, String(labels[k])]));
+}
+
+function formatLabels(pairs, extra = []) {
+  const all = [...pairs, ...extra];
+  if (!all.length) return "";
+  return `{${all.map(([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`).join(",")}}`;
+}
+
+function counter(name, help) {
+  const values = new Map(); // labelKey → { pairs, value }
+  const metric = {
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labels);
+      const entry = values.get(key) || { pairs: JSON.parse(key), value: 0 };
+      entry.value += amount;
+      values.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { pairs, value } of values.values()) lines.push(`${name}${formatLabels(pairs)} ${value}`);
+      return lines;
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+function histogram(name, help, buckets = DURATION_BUCKETS) {
+  const values = new Map(); // labelKey → { pairs, counts, sum, count }
+  const metric = {
+    observe(labels, value) {
+      const key = labelKey(labels);
+      const entry = values.get(key) || { pairs: JSON.parse(key), counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+      values.set(key, entry);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { pairs, counts, sum, count } of values.values()) {
+        buckets.forEach((bound, i) => lines.push(`${name}_bucket${formatLabels(pairs, [["le", bound]])} ${counts[i]}`));
+        lines.push(`${name}_bucket${formatLabels(pairs, [["le", "+Inf"]])} ${count}`);
+        lines.push(`${name}_sum${formatLabels(pairs)} ${Math.round(sum * 1e6) / 1e6}`);
+        lines.push(`${name}_count${formatLabels(pairs)} ${count}`);
+      }
+      return lines;
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// --------------------------------------------------
+// Metrics exposed by the server
+// --------------------------------------------------
+export const httpRequests = counter("mcp_http_requests_total", "HTTP requests by method, route and status code");
+export const httpDuration = histogram("mcp_http_request_duration_seconds", "HTTP request duration by method and route");
+export const stageDuration = histogram("mcp_stage_duration_seconds", "Duration of request stages (intent, connector, context, llm)");
+export const connectorRequests = counter("mcp_connector_requests_total", "Connector fetches by connector and status (ok, error, timeout, skipped)");
+export const connectorErrors = counter("mcp_connector_errors_total", "Failed connector fetches by connector and error code");
+export const connectorDuration = histogram("mcp_connector_duration_seconds", "Connector fetch latency, including retries and cache hits");
+export const connectorCache = counter("mcp_connector_cache_total", "Connector cache outcomes by connector and status (hit, miss, coalesced, bypass)");
+export const llmRequests = counter("mcp_llm_requests_total", "LLM calls by purpose (intent, summarize, answer) and status");
+export const llmTokens = counter("mcp_llm_tokens_total", "LLM tokens used by purpose and type (prompt, completion)");
+export const digestRuns = counter("mcp_digest_runs_total", "Digest runs by trigger (schedule, manual) and status (ok, partial, error)");
+
+const startTime = Date.now() / 1000;
+
+/**
+ * Record one LLM call; `usage` is the OpenAI usage object (may be null when the call failed).
+ */
+export function recordLlmCall(purpose, status, usage = null) {
+  llmRequests.inc({ purpose, status });
+  if (!usage) return;
+  llmTokens.inc({ purpose, type: "prompt" }, usage.prompt_tokens || 0);
+  llmTokens.inc({ purpose, type: "completion" }, usage.completion_tokens || 0);
+}
+
+export function renderMetrics() {
+  const lines = [
+    "# HELP process_start_time_seconds Start time of the process since unix epoch in seconds",
+    "# TYPE process_start_time_seconds gauge",
+    `process_start_time_seconds ${Math.floor(startTime)}`,
+  ];
+  for (const metric of registry) lines.push(...metric.render());
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,170 @@
+// promptTemplates.js
+// Persona prompt templates loaded from prompts/*.md, selected per request or per detected intent.
+//
+// A template file starts with a header block, followed by the prompt body:
+//
+//   ---
+//   name: finance_analyst
+//   description: Revenue, payments and invoices
+//   connectors: stripe_finance
+//   ---
+//   You are a careful finance analyst...
+//   {{context}}
+//   USER QUERY:
+//   {{query}}
+//
+// `connectors` (comma-separated) picks the template when the top routed connector is one of them;
+// `default: true` marks the fallback template.
+import fs from "fs";
+import path from "path";
+import { listConnectors } from "./connectorRegistry.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("promptTemplates");
+
+const PROMPTS_DIR = process.env.PROMPTS_DIR || "./prompts";
+const PROFILES_PATH = process.env.USER_PROFILES_PATH || "./userProfiles.json";
+
+export const TEMPLATE_VARIABLES = ["context", "query", "sources", "conversation", "user_profile"];
+const REQUIRED_VARIABLES = ["context", "query"];
+const HEADER_FIELDS = ["name", "description", "connectors", "default"];
+const VARIABLE_RE = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+let templates = new Map();
+let defaultTemplate = null;
+
+function parseTemplateFile(file, errors) {
+  const raw = fs.readFileSync(file, "utf8");
+  const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/.exec(raw);
+  if (!match) {
+    errors.push(`${file}: missing the --- header block`);
+    return null;
+  }
+
+  const header = {};
+  for (const line of match[1].split(/\r?\n/).filter((l) => l.trim())) {
+    const field = /^(\w+):\s*(.*)$/.exec(line);
+    if (!field) {
+      errors.push(`${file}: cannot parse header line "${line}"`);
+      continue;
+    }
+    if (!HEADER_FIELDS.includes(field[1])) errors.push(`${file}: unknown header field "${field[1]}"`);
+    header[field[1]] = field[2].trim();
+  }
+
+  const body = match[2].trim();
+  const name = header.name || path.basename(file, path.extname(file));
+  if (!/^[\w-]+$/.test(name)) errors.push(`${file}: name "${name}" may only contain letters, digits, _ and -`);
+
+  const used = new Set([...body.matchAll(VARIABLE_RE)].map((m) => m[1]));
+  for (const variable of used) {
+    if (!TEMPLATE_VARIABLES.includes(variable)) {
+      errors.push(`${file}: unknown variable {{${variable}}} (available: ${TEMPLATE_VARIABLES.join(", ")})`);
+    }
+  }
+  for (const variable of REQUIRED_VARIABLES) {
+    if (!used.has(variable)) errors.push(`${file}: template must include {{${variable}}}`);
+  }
+
+  const known = new Set(listConnectors().map((c) => c.name));
+  const connectors = (header.connectors || "").split(",").map((c) => c.trim()).filter(Boolean);
+  for (const connector of connectors) {
+    if (!known.has(connector)) log.warn("Template refers to unregistered connector", { file, connector });
+  }
+
+  return {
+    name,
+    description: header.description || "",
+    connectors,
+    isDefault: header.default === "true",
+    body,
+    file,
+  };
+}
+
+/**
+ * Load and validate every template in the prompts directory. Throws one error listing every problem.
+ */
+export function loadPromptTemplates(dir = PROMPTS_DIR) {
+  const errors = [];
+  const loaded = new Map();
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter((f) => f.endsWith(".md")).sort() : [];
+
+  for (const file of files) {
+    const template = parseTemplateFile(path.join(dir, file), errors);
+    if (!template) continue;
+    if (loaded.has(template.name)) errors.push(`${template.file}: duplicate template name "${template.name}"`);
+    loaded.set(template.name, template);
+  }
+
+  const defaults = [...loaded.values()].filter((t) => t.isDefault);
+  if (defaults.length !== 1) {
+    errors.push(`${dir}: exactly one template needs "default: true" (found ${defaults.length})`);
+  }
+
+  if (errors.length) {
+    throw new Error(`Invalid prompt templates:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+  }
+
+  templates = loaded;
+  defaultTemplate = defaults[0];
+  log.info("Prompt templates loaded", { templates: [...loaded.keys()] });
+  return templates;
+}
+
+export function listPromptTemplates() {
+  return [...templates.values()].map(({ name, description, connectors, isDefault }) => ({
+    name,
+    description,
+    connectors,
+    default: isDefault,
+  }));
+}
+
+/**
+ * Pick the template for a request: the named persona if given (throws when unknown), otherwise the
+ * first template claiming the top routed connector, otherwise the default.
+ */
+export function selectPromptTemplate({ persona = null, connectors = [] } = {}) {
+  if (!defaultTemplate) loadPromptTemplates();
+
+  if (persona) {
+    const template = templates.get(persona);
+    if (!template) throw new Error(`Unknown persona "${persona}". Available: ${[...templates.keys()].join(", ")}`);
+    return template;
+  }
+  for (const connector of connectors) {
+    const template = [...templates.values()].find((t) => t.connectors.includes(connector));
+    if (template) return template;
+  }
+  return defaultTemplate;
+}
+
+export function hasPromptTemplate(name) {
+  if (!defaultTemplate) loadPromptTemplates();
+  return templates.has(name);
+}
+
+/**
+ * Profile for {{user_profile}} from USER_PROFILES_PATH ({ "<user_id>": { "role": "...", ... } }).
+ */
+export function loadUserProfile(userId) {
+  try {
+    const profiles = JSON.parse(fs.readFileSync(PROFILES_PATH, "utf8"));
+    return profiles[userId] || null;
+  } catch (err) {
+    if (err.code !== "ENOENT") log.warn("Could not read user profiles", { file: PROFILES_PATH, err });
+    return null;
+  }
+}
+
+export function formatUserProfile(profile) {
+  if (!profile) return "No profile on file.";
+  return Object.entries(profile)
+    .map(([key, value]) => `- ${key}: ${Array.isArray(value) ? value.join(", ") : value}`)
+    .join("\n");
+}
+
+export function renderPromptTemplate(template, variables) {
+  return template.body.replace(VARIABLE_RE, (_, name) => variables[name] ?? "");
+}
@@ -0,0 +1,15 @@
+// server.js
+// Starts the MCP HTTP server. Configure with PORT, HOST and SERVER_MODE (package | answer).
+import "dotenv/config"; // first, so modules that read settings at import time see .env
+import { createApp } from "./app.js";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("server");
+
+const port = Number(process.env.PORT) || 3000;
+const host = process.env.HOST || "0.0.0.0";
+
+const app = await createApp();
+app.listen(port, host, () => {
+  log.info("Server listening", { url: `http://${host === "0.0.0.0" ? "localhost" : host}:${port}`, mode: process.env.SERVER_MODE || "answer" });
+});
@@ -0,0 +1,32 @@
+// sessionRoutes.js
+// Inspect or clear conversation sessions created by /mcp-query.
+import express from "express";
+import { getSession, deleteSession, describeSession } from "./sessionStore.js";
+import { requireAuth, hasScope, ADMIN_SCOPE } from "./apiKeys.js";
+
+// Other users' sessions look the same as missing ones, except to admin keys
+function findSession(req) {
+  const session = getSession(req.params.id);
+  if (!session || !req.auth || hasScope(req.auth, ADMIN_SCOPE)) return session;
+  return session.userId === req.auth.userId ? session : null;
+}
+
+export function createSessionRouter() {
+  const router = express.Router();
+  router.use("/sessions", requireAuth());
+
+  router.get("/sessions/:id", (req, res) => {
+    const session = findSession(req);
+    if (!session) return res.status(404).json({ error: `Unknown or expired session ${req.params.id}` });
+    res.json(describeSession(session));
+  });
+
+  router.delete("/sessions/:id", (req, res) => {
+    if (!findSession(req) || !deleteSession(req.params.id)) {
+      return res.status(404).json({ error: `Unknown or expired session ${req.params.id}` });
+    }
+    res.json({ session_id: req.params.id, cleared: true });
+  });
+
+  return router;
+}
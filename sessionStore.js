@@ -0,0 +1,89 @@
+// sessionStore.js
+// In-memory conversation sessions so follow-up queries can reuse earlier connectors, time ranges and entities.
+import crypto from "crypto";
+
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_MS) || 30 * 60 * 1000;
+const MAX_TURNS = Number(process.env.SESSION_MAX_TURNS) || 10;
+
+const sessions = new Map();
+
+function sweep() {
+  const now = Date.now();
+  for (const [id, session] of sessions) {
+    if (session.expiresAt < now) sessions.delete(id);
+  }
+}
+
+export function createSession(userId) {
+  sweep();
+  const now = Date.now();
+  const session = {
+    id: crypto.randomUUID(),
+    userId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: now + SESSION_TTL_MS,
+    turns: [],
+    context: { connectors: [], timeRange: null, entities: {} },
+  };
+  sessions.set(session.id, session);
+  return session;
+}
+
+/**
+ * Look up a live session; expired ones are dropped and reported as missing.
+ */
+export function getSession(id) {
+  sweep();
+  return sessions.get(id) || null;
+}
+
+/**
+ * Record a finished turn and roll its resolved entities into the session context. Refreshes the TTL.
+ */
+export function appendTurn(id, { query, connectors, timeRange, entities = {}, answer = null }) {
+  const session = sessions.get(id);
+  if (!session) return null;
+
+  session.turns.push({ at: new Date().toISOString(), query, connectors, timeRange, entities, answer });
+  if (session.turns.length > MAX_TURNS) session.turns.splice(0, session.turns.length - MAX_TURNS);
+
+  // The resolved timeRange supersedes the raw time expression
+  const { time_expression, ...resolved } = entities;
+  session.context = {
+    connectors,
+    timeRange: timeRange || session.context.timeRange,
+    entities: { ...session.context.entities, ...resolved },
+  };
+  session.expiresAt = Date.now() + SESSION_TTL_MS;
+  return session;
+}
+
+/**
+ * Continue the requested session or start a new one when no id is given.
+ * Returns { session } or { status, error } for unknown/expired ids and sessions owned by another user.
+ */
+export function openSession(sessionId, userId) {
+  if (!sessionId) return { session: createSession(userId) };
+  const session = getSession(sessionId);
+  if (!session) return { status: 404, error: `Unknown or expired session ${sessionId}` };
+  if (session.userId !== userId) return { status: 403, error: "Session belongs to another user" };
+  return { session };
+}
+
+export function deleteSession(id) {
+  return sessions.delete(id);
+}
+
+/**
+ * JSON view of a session for API responses.
+ */
+export function describeSession(session) {
+  return {
+    session_id: session.id,
+    user_id: session.userId,
+    created_at: session.createdAt,
+    expires_at: new Date(session.expiresAt).toISOString(),
+    context: session.context,
+    turns: session.turns,
+  };
+}
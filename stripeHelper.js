@@ -0,0 +1,341 @@
+// stripeHelper.js
+// Balance, charges, failed payments and invoices from the Stripe REST API (or offline fixtures)
+// for the stripe_finance connector.
+import fs from "fs";
+import { clampToPast } from "./timeParser.js";
+import { defaultTimeZone, getZonedParts, zonedTimeToDate } from "./timeUtils.js";
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOW_DAYS = 30;
+const PAGE_SIZE = 100;
+const MAX_PAGES = Number(process.env.STRIPE_MAX_PAGES) || 10;
+const MAX_LISTED = 5; // failed payments / overdue invoices named in the summary
+const FIXTURES_PATH = process.env.STRIPE_FIXTURES_PATH || "./fixtures/stripe.json";
+
+// Amounts in these currencies are already whole units (https://docs.stripe.com/currencies#zero-decimal)
+const ZERO_DECIMAL = new Set(["bif", "clp", "djf", "gnf", "jpy", "kmf", "krw", "mga", "pyg", "rwf", "ugx", "vnd", "vuv", "xaf", "xof", "xpf"]);
+
+const SECTION_PATTERNS = {
+  balance: /\b(balance|available|payouts?)\b/i,
+  charges: /\b(charges?|payments?|revenue|sales|income|transactions?|earn(ed|ings)?|totals?)\b/i,
+  failed: /\b(fail(ed|ures?)?|declined?|bounced)\b/i,
+  invoices: /\b(invoices?|overdue|unpaid|outstanding|owed?)\b/i,
+};
+const GROUPING_RE = /\b(?:(?:by|per)\s+(day|week|month)|(daily|weekly|monthly))\b/i;
+const GROUPING_WORDS = { daily: "day", weekly: "week", monthly: "month" };
+
+/**
+ * Format minor units (cents) in their currency, e.g. (123450, "usd") → "$1,234.50", (5000, "jpy") → "¥5,000".
+ */
+export function formatMoney(amount, currency) {
+  const code = currency.toLowerCase();
+  const major = ZERO_DECIMAL.has(code) ? amount : amount / 100;
+  return new Intl.NumberFormat("en-US", { style: "currency", currency: code.toUpperCase() }).format(major);
+}
+
+function money(amount, currency) {
+  return { amount, currency, formatted: formatMoney(amount, currency) };
+}
+
+// --------------------------------------------------
+// Clients: the REST API (STRIPE_API_URL can point at a local mock) or a fixture file
+// --------------------------------------------------
+export function createStripeClient({
+  apiKey = process.env.STRIPE_SECRET_KEY,
+  baseUrl = process.env.STRIPE_API_URL || "https://api.stripe.com",
+} = {}) {
+  return {
+    mode: "api",
+    async get(route, params = {}, signal) {
+      if (!apiKey) throw new Error("STRIPE_SECRET_KEY is not set");
+      const query = new URLSearchParams(Object.entries(params).map(([k, v]) => [k, String(v)]));
+      const response = await fetch(`${baseUrl.replace(/\/$/, "")}/v1${route}?${query}`, {
+        signal,
+        headers: { Authorization: `Bearer ${apiKey}` },
+      });
+      if (!response.ok) {
+        // Shaped like the SDK errors classifyError understands (status, retry-after)
+        const body = await response.json().catch(() => ({}));
+        const err = new Error(`Stripe GET ${route} failed with ${response.status}${body.error ? `: ${body.error.message}` : ""}`);
+        err.status = response.status;
+        err.response = { status: response.status, headers: Object.fromEntries(response.headers) };
+        throw err;
+      }
+      return response.json();
+    },
+  };
+}
+
+/**
+ * Offline client over a JSON file shaped like Stripe responses: { now?, balance, charges: [], invoices: [] }.
+ * When `now` is set, every timestamp is shifted so the fixtures' `now` is the current time.
+ */
+export function createFixtureStripeClient({ file = FIXTURES_PATH } = {}) {
+  let fixtures = null;
+  const load = () => {
+    if (fixtures) return fixtures;
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    const shift = raw.now ? Math.floor((Date.now() - Date.parse(raw.now)) / 1000) : 0;
+    const shifted = (item) => ({
+      ...item,
+      created: item.created + shift,
+      ...(item.due_date ? { due_date: item.due_date + shift } : {}),
+    });
+    fixtures = { balance: raw.balance, charges: (raw.charges || []).map(shifted), invoices: (raw.invoices || []).map(shifted) };
+    return fixtures;
+  };
+
+  return {
+    mode: "fixtures",
+    async get(route, params = {}) {
+      const data = load();
+      if (route === "/balance") return data.balance;
+      const items = data[route.slice(1)];
+      if (!items) throw Object.assign(new Error(`No fixtures for ${route}`), { status: 404 });
+
+      const matching = items
+        .filter((item) => params["created[gte]"] === undefined || item.created >= params["created[gte]"])
+        .filter((item) => params["created[lt]"] === undefined || item.created < params["created[lt]"])
+        .filter((item) => params.status === undefined || item.status === params.status)
+        .sort((a, b) => b.created - a.created);
+      const after = params.starting_after ? matching.findIndex((item) => item.id === params.starting_after) + 1 : 0;
+      const limit = params.limit || 10;
+      return { object: "list", data: matching.slice(after, after + limit), has_more: matching.length > after + limit };
+    },
+  };
+}
+
+/**
+ * Client for STRIPE_MODE: "api" (default) or "fixtures".
+ */
+export function createStripeClientFromEnv(options = {}) {
+  const mode = options.mode || process.env.STRIPE_MODE || "api";
+  if (mode === "fixtures") return createFixtureStripeClient(options);
+  if (mode === "api") return createStripeClient(options);
+  throw new Error(`Unknown STRIPE_MODE "${mode}" (expected api or fixtures)`);
+}
+
+// Follow `has_more` / `starting_after` pagination, up to MAX_PAGES pages. `truncated` says more were
+// left unread (Stripe lists newest first, so the oldest part of the window is missing)
+async function listAll(client, route, params, signal) {
+  const items = [];
+  let startingAfter;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const res = await client.get(route, { ...params, limit: PAGE_SIZE, ...(startingAfter ? { starting_after: startingAfter } : {}) }, signal);
+    items.push(...res.data);
+    if (!res.has_more || !res.data.length) return { items, truncated: false };
+    startingAfter = res.data[res.data.length - 1].id;
+  }
+  return { items, truncated: true };
+}
+
+// --------------------------------------------------
+// Query → sections, window and grouping
+// --------------------------------------------------
+export function detectFinanceIntent(query) {
+  const sections = Object.keys(SECTION_PATTERNS).filter((name) => SECTION_PATTERNS[name].test(query));
+  const grouping = GROUPING_RE.exec(query);
+  return {
+    // Nothing specific asked ("how are finances?") → everything
+    sections: sections.length ? sections : Object.keys(SECTION_PATTERNS),
+    granularity: grouping ? grouping[1] || GROUPING_WORDS[grouping[2].toLowerCase()] : null,
+  };
+}
+
+/**
+ * Charge window: the shared time range clamped to the past, or the last DEFAULT_WINDOW_DAYS days.
+ */
+export function financeWindow(timeRange, now = new Date()) {
+  const past = clampToPast(timeRange, now);
+  if (past) return { start: new Date(past.start), end: new Date(past.end) };
+  return { start: new Date(now.getTime() - DEFAULT_WINDOW_DAYS * DAY), end: new Date(now) };
+}
+
+function defaultGranularity(window) {
+  const days = (window.end - window.start) / DAY;
+  if (days <= 14) return "day";
+  if (days <= 92) return "week";
+  return "month";
+}
+
+// Period label in the user's timezone: "2025-11-03" (day), the Monday "2025-11-03" (week) or "2025-11" (month)
+function periodKey(date, granularity, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const pad = (n) => String(n).padStart(2, "0");
+  if (granularity === "month") return `${p.year}-${pad(p.month)}`;
+  if (granularity === "week") {
+    const monday = getZonedParts(zonedTimeToDate({ year: p.year, month: p.month, day: p.day - ((p.weekday + 6) % 7), hour: 12 }, timeZone), timeZone);
+    return `${monday.year}-${pad(monday.month)}-${pad(monday.day)}`;
+  }
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+function totalsByCurrency(items, amountOf) {
+  const totals = {};
+  for (const item of items) totals[item.currency] = (totals[item.currency] || 0) + amountOf(item);
+  return Object.entries(totals).map(([currency, amount]) => money(amount, currency));
+}
+
+function summarizeCharges(charges, granularity, timeZone) {
+  const succeeded = charges.filter((c) => c.status === "succeeded");
+  const byCurrency = {};
+  for (const c of succeeded) {
+    const t = (byCurrency[c.currency] ||= { gross: 0, refunded: 0 });
+    t.gross += c.amount;
+    t.refunded += c.amount_refunded || 0;
+  }
+
+  const periods = {};
+  for (const c of succeeded) {
+    const key = `${periodKey(new Date(c.created * 1000), granularity, timeZone)}|${c.currency}`;
+    const p = (periods[key] ||= { count: 0, amount: 0 });
+    p.count++;
+    p.amount += c.amount - (c.amount_refunded || 0);
+  }
+
+  return {
+    succeeded: succeeded.length,
+    totals: Object.entries(byCurrency).map(([currency, t]) => ({
+      currency,
+      gross: money(t.gross, currency),
+      refunded: money(t.refunded, currency),
+      net: money(t.gross - t.refunded, currency),
+    })),
+    byPeriod: {
+      granularity,
+      periods: Object.entries(periods)
+        .map(([key, p]) => {
+          const [period, currency] = key.split("|");
+          return { period, count: p.count, ...money(p.amount, currency) };
+        })
+        .sort((a, b) => a.period.localeCompare(b.period)),
+    },
+  };
+}
+
+function describeFailure(c) {
+  return {
+    id: c.id,
+    ...money(c.amount, c.currency),
+    created: new Date(c.created * 1000).toISOString(),
+    customer: c.customer || null,
+    reason: c.failure_code || c.outcome?.reason || "unknown",
+    message: c.failure_message || null,
+  };
+}
+
+function summarizeInvoices(invoices, now) {
+  const describe = (inv) => ({
+    id: inv.id,
+    number: inv.number || null,
+    customer: inv.customer_email || inv.customer_name || inv.customer || null,
+    ...money(inv.amount_remaining ?? inv.amount_due, inv.currency),
+    dueDate: inv.due_date ? new Date(inv.due_date * 1000).toISOString() : null,
+  });
+  const open = invoices.map(describe);
+  const overdue = invoices.filter((inv) => inv.due_date && inv.due_date * 1000 < now.getTime()).map(describe);
+  return {
+    open,
+    overdue,
+    totalDue: totalsByCurrency(open, (inv) => inv.amount),
+    totalOverdue: totalsByCurrency(overdue, (inv) => inv.amount),
+  };
+}
+
+/**
+ * Fetch what the query asks about (balance, charges grouped by period, failed payments, open and
+ * overdue invoices) for the shared time range. Open invoices are listed regardless of the range.
+ */
+export async function handleStripeQuery(query, { timeRange, client, signal, now = new Date() }) {
+  const intent = detectFinanceIntent(query);
+  const window = financeWindow(timeRange, now);
+  const timeZone = (timeRange && timeRange.timeZone) || defaultTimeZone();
+  const wants = (section) => intent.sections.includes(section);
+  const created = {
+    "created[gte]": Math.floor(window.start.getTime() / 1000),
+    "created[lt]": Math.ceil(window.end.getTime() / 1000),
+  };
+
+  const [balance, chargeList, invoiceList] = await Promise.all([
+    wants("balance") ? client.get("/balance", {}, signal) : null,
+    wants("charges") || wants("failed") ? listAll(client, "/charges", created, signal) : null,
+    wants("invoices") ? listAll(client, "/invoices", { status: "open" }, signal) : null,
+  ]);
+
+  const charges = chargeList && chargeList.items;
+  const invoices = invoiceList && invoiceList.items;
+
+  const data = {
+    mode: client.mode,
+    sections: intent.sections,
+    window: { start: window.start.toISOString(), end: window.end.toISOString() },
+    // Lists cut off at STRIPE_MAX_PAGES: their totals and counts are lower than the real ones
+    truncated: [chargeList && chargeList.truncated && "charges", invoiceList && invoiceList.truncated && "invoices"].filter(Boolean),
+  };
+  if (balance) {
+    data.balance = {
+      available: balance.available.map((b) => money(b.amount, b.currency)),
+      pending: balance.pending.map((b) => money(b.amount, b.currency)),
+    };
+  }
+  if (charges && wants("charges")) {
+    data.charges = summarizeCharges(charges, intent.granularity || defaultGranularity(window), timeZone);
+  }
+  if (charges && wants("failed")) {
+    data.failedPayments = charges.filter((c) => c.status === "failed").map(describeFailure);
+  }
+  if (invoices) data.invoices = summarizeInvoices(invoices, now);
+  return data;
+}
+
+const joinMoney = (list) => (list.length ? list.map((m) => m.formatted).join(" + ") : "nothing");
+
+/**
+ * Short human readable version of handleStripeQuery's result.
+ */
+export function formatStripeSummary(data) {
+  const parts = [];
+  const range = `${data.window.start.slice(0, 10)} to ${data.window.end.slice(0, 10)}`;
+
+  if (data.balance) {
+    parts.push(`Balance: ${joinMoney(data.balance.available)} available, ${joinMoney(data.balance.pending)} pending`);
+  }
+  if (data.charges) {
+    const { succeeded, totals, byPeriod } = data.charges;
+    let text = `Charges ${range}: ${succeeded} succeeded`;
+    if (totals.length) {
+      text += `, ${totals.map((t) => `${t.net.formatted} net (${t.gross.formatted} gross, ${t.refunded.formatted} refunded)`).join("; ")}`;
+    }
+    // One entry per period, currencies side by side
+    const periods = {};
+    for (const p of byPeriod.periods) (periods[p.period] ||= []).push(p.formatted);
+    if (Object.keys(periods).length > 1) {
+      text += `; by ${byPeriod.granularity}: ${Object.entries(periods).map(([period, amounts]) => `${period} ${amounts.join(" + ")}`).join(", ")}`;
+    }
+    parts.push(text);
+  }
+  if (data.failedPayments) {
+    const failed = data.failedPayments;
+    if (!failed.length) parts.push(`No failed payments ${range}`);
+    else {
+      const listed = failed.slice(0, MAX_LISTED).map((f) => `${f.formatted} ${f.reason}${f.customer ? ` (${f.customer})` : ""}`);
+      const more = failed.length > MAX_LISTED ? `, +${failed.length - MAX_LISTED} more` : "";
+      parts.push(`${failed.length} failed payments ${range}: ${listed.join(", ")}${more}`);
+    }
+  }
+  if (data.invoices) {
+    const { open, overdue, totalDue, totalOverdue } = data.invoices;
+    let text = `Invoices: ${open.length} open (${joinMoney(totalDue)} due)`;
+    if (overdue.length) {
+      const listed = overdue.slice(0, MAX_LISTED).map((inv) => `${inv.number || inv.id} ${inv.formatted} due ${inv.dueDate.slice(0, 10)}`);
+      text += `, ${overdue.length} overdue (${joinMoney(totalOverdue)}): ${listed.join(", ")}`;
+    }
+    parts.push(text);
+  }
+
+  if (data.truncated.length) {
+    parts.push(`Incomplete: only the newest ${MAX_PAGES * PAGE_SIZE} ${data.truncated.join(" and ")} were read (STRIPE_MAX_PAGES), so totals are too low`);
+  }
+
+  return `${parts.join(". ")}.${data.mode === "fixtures" ? " (offline fixtures)" : ""}`;
+}
@@ -0,0 +1,51 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Paths and limits are read when the module loads; small files make every few records rotate
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "audit-"));
+process.env.AUDIT_LOG_PATH = path.join(dir, "audit.jsonl");
+process.env.AUDIT_REDACTION_PATH = path.join(dir, "missing.json");
+process.env.AUDIT_MAX_BYTES = "1500";
+process.env.AUDIT_MAX_FILES = "3";
+const { redact, startAuditRecord, writeAuditRecord, getAuditRecord, searchAuditLog } = await import("../auditLog.js");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function record(i) {
+  return startAuditRecord({
+    request_id: `req-${i}`,
+    user_id: i % 2 ? "alice@example.com" : "bob",
+    key_id: "laptop",
+    session_id: null,
+    query: `query ${i} from carol@example.com`,
+    status: "ok",
+  });
+}
+
+test("masks e-mails, keys and secret fields", () => {
+  const masked = redact({ note: "mail carol@example.com with sk_live_abc123", access_token: "t", prompt_tokens: 12 });
+  assert.deepEqual(masked, { note: "mail [EMAIL] with [API_KEY]", access_token: "[REDACTED]", prompt_tokens: 12 });
+});
+
+test("stores identity fields as is, so owners can find and read their records", async () => {
+  const ids = [];
+  for (let i = 0; i < 12; i++) ids.push(writeAuditRecord(record(i)));
+  assert.ok(fs.existsSync(`${process.env.AUDIT_LOG_PATH}.1`), "the log rotated");
+
+  const stored = await getAuditRecord(ids[11]);
+  assert.equal(stored.user_id, "alice@example.com");
+  assert.equal(stored.query, "query 11 from [EMAIL]");
+
+  const { total, records } = await searchAuditLog({ userId: "alice@example.com" }, { limit: 2, offset: 1 });
+  assert.equal(total, 6);
+  assert.deepEqual(records.map((r) => r.request_id), ["req-9", "req-7"]);
+});
+
+test("searches newest first across rotated files", async () => {
+  const { total, records } = await searchAuditLog({ text: "QUERY 1" }, { limit: 10 });
+  assert.equal(total, 3);
+  assert.deepEqual(records.map((r) => r.request_id), ["req-11", "req-10", "req-1"]);
+});
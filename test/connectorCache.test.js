@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cacheKey, getCached, setCached, coalesce, clearConnectorCache } from "../connectorCache.js";
+
+test("keys ignore case, punctuation and entity order, and round time ranges to the minute", () => {
+  const range = (s) => ({ start: new Date(s), end: new Date("2026-10-19T13:00:00Z"), granularity: "hour" });
+  const a = cacheKey({ user: "alice", connector: "github_repo", query: "Open PRs?", entities: { repo: "API", person: null }, timeRange: range("2026-10-19T12:00:05Z") });
+  const b = cacheKey({ user: "alice", connector: "github_repo", query: "open prs", entities: { repo: "api" }, timeRange: range("2026-10-19T12:00:55Z") });
+  assert.equal(a, b);
+  assert.notEqual(a, cacheKey({ user: "bob", connector: "github_repo", query: "open prs", entities: { repo: "api" } }));
+});
+
+test("entries expire after their TTL and can be cleared per connector", async () => {
+  const key = cacheKey({ user: "u", connector: "aws_monitor", query: "alarms" });
+  setCached(key, { summary: "ok" }, 20);
+  assert.deepEqual(getCached(key).result, { summary: "ok" });
+  await new Promise((resolve) => setTimeout(resolve, 30));
+  assert.equal(getCached(key), null);
+
+  setCached(key, { summary: "ok" }, 1000);
+  assert.equal(clearConnectorCache("github_repo"), 0);
+  assert.equal(clearConnectorCache("aws_monitor"), 1);
+});
+
+test("concurrent fetches with the same key share one call", async () => {
+  let calls = 0;
+  const fetch = () => coalesce("same", async () => {
+    calls++;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    return calls;
+  });
+  const [first, second] = await Promise.all([fetch(), fetch()]);
+  assert.equal(calls, 1);
+  assert.deepEqual([first.shared, second.shared], [false, true]);
+  assert.equal(second.result, 1);
+});
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyError, runResilient, withDeadline, getCircuitState } from "../connectorResilience.js";
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { status, response: { status, headers } });
+
+test("classifies errors from the client libraries", () => {
+  assert.equal(classifyError(httpError(429)), "rate_limited");
+  assert.equal(classifyError(httpError(403, { "x-ratelimit-remaining": "0" })), "rate_limited");
+  assert.equal(classifyError(httpError(401)), "unauthorized");
+  assert.equal(classifyError(httpError(404)), "not_found");
+  assert.equal(classifyError(httpError(503)), "upstream_error");
+  assert.equal(classifyError(Object.assign(new Error("reset"), { code: "ECONNRESET" })), "network_error");
+  assert.equal(classifyError(new Error("boom")), "error");
+});
+
+test("retries transient failures and reports the attempts", async () => {
+  let calls = 0;
+  const outcome = await runResilient("test-retry", async () => {
+    if (++calls < 2) throw httpError(503, { "retry-after": "0" });
+    return "done";
+  }, { timeoutMs: 1000, retries: 2 });
+  assert.equal(outcome.status, "ok");
+  assert.equal(outcome.value, "done");
+  assert.equal(outcome.attempts, 2);
+});
+
+test("does not retry caller errors, which also keep the circuit closed", async () => {
+  let calls = 0;
+  const outcome = await runResilient("test-caller", async () => {
+    calls++;
+    throw httpError(404);
+  }, { timeoutMs: 1000, retries: 2 });
+  assert.equal(calls, 1);
+  assert.equal(outcome.error.code, "not_found");
+  assert.equal(getCircuitState("test-caller").failures, 0);
+});
+
+test("aborts the signal and reports a timeout at the deadline", async () => {
+  let aborted = false;
+  const outcome = await runResilient("test-timeout", (signal) => {
+    signal.addEventListener("abort", () => (aborted = true));
+    return new Promise(() => {});
+  }, { timeoutMs: 50, retries: 0 });
+  assert.equal(outcome.status, "timeout");
+  assert.ok(aborted);
+});
+
+test("opens the circuit after repeated failures and skips calls", async () => {
+  for (let i = 0; i < 5; i++) {
+    await runResilient("test-circuit", async () => {
+      throw new Error("boom");
+    }, { timeoutMs: 1000, retries: 0 });
+  }
+  const outcome = await runResilient("test-circuit", async () => "never", { timeoutMs: 1000 });
+  assert.equal(outcome.status, "skipped");
+  assert.equal(outcome.error.code, "circuit_open");
+});
+
+test("withDeadline runs once and rejects at the deadline", async () => {
+  assert.equal(await withDeadline(async () => "ok", 1000), "ok");
+  await assert.rejects(withDeadline(() => new Promise(() => {}), 50), /Timed out after 50 ms/);
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCron, nextCronRun } from "../cronSchedule.js";
+
+const after = new Date("2026-10-19T12:00:00Z"); // a Monday
+
+test("parses lists, ranges, steps, names and macros", () => {
+  const cron = parseCron("*/15 8-18/2 1,15 JAN-MAR MON-FRI");
+  assert.deepEqual(cron.minutes, [0, 15, 30, 45]);
+  assert.deepEqual(cron.hours, [8, 10, 12, 14, 16, 18]);
+  assert.deepEqual([...cron.months], [1, 2, 3]);
+  assert.ok(parseCron("* * * * 7").weekdays.has(0));
+  assert.equal(parseCron("@weekdays").expression, "@weekdays");
+});
+
+test("rejects malformed expressions with a readable message", () => {
+  assert.throws(() => parseCron("0 8 * *"), /must have 5 fields/);
+  assert.throws(() => parseCron("0 24 * * *"), /hour 24 is out of range 0-23/);
+  assert.throws(() => parseCron("0 8 * * 5-1"), /empty range/);
+});
+
+test("finds the next run in the given timezone", () => {
+  assert.equal(nextCronRun("0 8 * * 1-5", after, "UTC").toISOString(), "2026-10-20T08:00:00.000Z");
+  assert.equal(nextCronRun("0 8 * * *", after, "Asia/Tokyo").toISOString(), "2026-10-19T23:00:00.000Z");
+  // Either day-of-month or day-of-week, as in classic cron
+  assert.equal(nextCronRun("0 0 25 * 3", after, "UTC").toISOString(), "2026-10-21T00:00:00.000Z");
+});
+
+test("wall-clock times skipped by DST do not fire, and impossible dates never do", () => {
+  // Europe/Berlin skips 02:00-03:00 on 2027-03-28
+  const run = nextCronRun("30 2 28 3 *", new Date("2027-03-01T00:00:00Z"), "Europe/Berlin");
+  assert.equal(run.toISOString(), "2028-03-28T00:30:00.000Z");
+  assert.equal(nextCronRun("0 0 31 2 *", after, "UTC"), null);
+});
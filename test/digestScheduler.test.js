@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateDigest, formatDigestMarkdown } from "../digestScheduler.js";
+
+const digest = (fields = {}) => ({
+  name: "Morning briefing",
+  cron: "0 8 * * 1-5",
+  timezone: "Europe/Berlin",
+  sections: ["my meetings today", { title: "PRs", query: "open pull requests" }],
+  delivery: { type: "webhook", url: "https://hooks.example.com/briefing" },
+  ...fields,
+});
+
+test("normalizes a valid digest", () => {
+  const { fields, errors } = validateDigest(digest());
+  assert.equal(errors, undefined);
+  assert.deepEqual(fields.sections, [
+    { title: "my meetings today", query: "my meetings today" },
+    { title: "PRs", query: "open pull requests" },
+  ]);
+  assert.equal(fields.mode, "package");
+  assert.equal(fields.enabled, true);
+});
+
+test("rejects crons that never fire and unknown timezones", () => {
+  assert.deepEqual(validateDigest(digest({ cron: "0 0 31 2 *" })).errors, ['cron: "0 0 31 2 *" never fires']);
+  assert.match(validateDigest(digest({ timezone: "Mars/Olympus" })).errors[0], /not a known IANA timezone/);
+});
+
+test("rejects webhooks to private, multicast and benchmarking addresses", () => {
+  for (const url of ["http://localhost:8080/", "http://127.0.0.1/", "http://169.254.169.254/latest", "http://[::1]/", "http://224.0.0.1/", "http://198.18.0.5/", "http://[ff02::1]/"]) {
+    const { errors } = validateDigest(digest({ delivery: { type: "webhook", url } }));
+    assert.ok(errors && /private or loopback/.test(errors[0]), url);
+  }
+  assert.match(validateDigest(digest({ delivery: { type: "webhook", url: "ftp://example.com/" } })).errors[0], /http\(s\) URL/);
+});
+
+test("updates keep the fields they do not change", () => {
+  const { fields: existing } = validateDigest(digest());
+  const { fields } = validateDigest({ enabled: false }, existing);
+  assert.equal(fields.cron, "0 8 * * 1-5");
+  assert.equal(fields.enabled, false);
+  assert.deepEqual(validateDigest({ user_id: "bob" }, existing).errors, ["user_id is not an editable field"]);
+});
+
+test("formats sections as Markdown, noting sources the key does not cover", () => {
+  const text = formatDigestMarkdown({
+    name: "Morning briefing",
+    generated_at: "2026-10-19T06:00:00.000Z",
+    timezone: "Europe/Berlin",
+    briefing: null,
+    sections: [
+      { title: "PRs", sources: [{ connector: "github_repo", summary: "3 open pull requests" }], denied_connectors: [] },
+      { title: "Money", sources: [], denied_connectors: ["stripe_finance"] },
+    ],
+  });
+  assert.match(text, /^# Morning briefing\n/);
+  assert.match(text, /## PRs\n- \*\*github_repo\*\*: 3 open pull requests/);
+  assert.match(text, /Not covered by this key: stripe_finance/);
+});
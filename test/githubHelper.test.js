@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { detectGitHubIntent, getIssues, getPullRequests } from "../githubHelper.js";
+
+// Octokit stand-in serving `items` in pages through paginate.iterator
+function fakeOctokit(items) {
+  const calls = [];
+  return {
+    calls,
+    paginate: {
+      async *iterator(route, params) {
+        calls.push({ route, params });
+        for (let i = 0; i < items.length; i += params.per_page) yield { data: items.slice(i, i + params.per_page) };
+      },
+    },
+  };
+}
+
+test("detects pull request states, issues with labels and review requests", () => {
+  assert.deepEqual(detectGitHubIntent("merged PRs in api"), { type: "pull_requests", state: "merged" });
+  assert.deepEqual(detectGitHubIntent("open issues labelled bug, ui and backend"), {
+    type: "issues",
+    state: "open",
+    labels: ["bug", "ui", "backend"],
+  });
+  // "and" only splits as a whole word
+  assert.deepEqual(detectGitHubIntent("issues labeled brand").labels, ["brand"]);
+  assert.equal(detectGitHubIntent("which PRs are waiting for my review").role, "review_requested");
+});
+
+test("merged pull requests are paged through until enough are found", async () => {
+  const pulls = Array.from({ length: 250 }, (_, i) => ({ number: i, title: `pr ${i}`, state: "closed", merged_at: i % 20 ? null : "2026-01-01" }));
+  const octokit = fakeOctokit(pulls);
+  const merged = await getPullRequests(octokit, "acme/api", { state: "merged" });
+  assert.equal(merged.length, 13);
+  assert.ok(merged.every((pr) => pr.merged));
+  assert.equal(octokit.calls[0].params.state, "closed");
+});
+
+test("issues skip pull requests without running short, and stop at 30", async () => {
+  const items = Array.from({ length: 500 }, (_, i) => ({ number: i, title: `#${i}`, state: "open", labels: [], ...(i % 5 ? { pull_request: {} } : {}) }));
+  const issues = await getIssues(fakeOctokit(items), "acme/api", { labels: ["bug", "ui"] });
+  assert.equal(issues.length, 30);
+  assert.ok(issues.every((issue) => issue.number % 5 === 0));
+});
@@ -0,0 +1,78 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+import { loadConnectors } from "../connectorRegistry.js";
+import { loadIntentRules, analyzeIntent, validateClassification, mergeVotes } from "../intentAnalyzer.js";
+import { configureLLM } from "../llmClient.js";
+
+const RULES_FILE = fileURLToPath(new URL("../intentRules.json", import.meta.url));
+const now = new Date("2026-10-19T12:00:00Z");
+
+// Classifier replies by query; anything else gets no votes
+let replies = {};
+function reply(request) {
+  const query = request.messages.find((m) => m.role === "user").content;
+  const votes = replies[query] || [];
+  const entities = { repo: null, time_expression: null, person: null, project: null };
+  return { choices: [{ message: { role: "assistant", content: JSON.stringify({ connectors: votes, entities }) } }], usage: null };
+}
+
+before(async () => {
+  await loadConnectors();
+  loadIntentRules(RULES_FILE);
+  configureLLM({ client: { chat: { completions: { create: async (request) => reply(request) } } } });
+});
+
+const session = {
+  turns: [{ query: "any CloudWatch alarms last week?" }],
+  context: { connectors: ["aws_monitor"], timeRange: null, entities: { repo: "acme/api" } },
+};
+
+test("validateClassification drops unknown connectors, clamps confidences and keeps the best duplicate", () => {
+  const result = validateClassification(
+    {
+      connectors: [
+        { connector: "github_repo", confidence: 0.4, rationale: "a" },
+        { connector: "github_repo", confidence: 3, rationale: "b" },
+        { connector: "bogus", confidence: 1, rationale: "c" },
+      ],
+      entities: { repo: " api ", person: "" },
+    },
+    ["github_repo"]
+  );
+  assert.deepEqual(result, { votes: [{ connector: "github_repo", confidence: 1, rationale: "b" }], entities: { repo: "api" } });
+  assert.throws(() => validateClassification({}, ["github_repo"]), /connectors array/);
+});
+
+test("without the LLM, rule votes carry the full weight", () => {
+  const [score] = mergeVotes({ matches: { github_repo: ["repo"] }, ruleScores: { github_repo: 1 } }, null);
+  assert.equal(score.combined, score.rule);
+  assert.equal(score.llm, null);
+});
+
+test("LLM votes add connectors the rules missed", async () => {
+  replies = { "how did the launch go": [{ connector: "notion_docs", confidence: 1, rationale: "notes" }] };
+  const intent = await analyzeIntent("how did the launch go", { now });
+  assert.ok(intent.llmAvailable);
+  assert.deepEqual(intent.connectors, ["notion_docs"]);
+});
+
+test("follow-ups need a cue and then reuse the previous connectors and entities", async () => {
+  replies = {};
+  const followUp = await analyzeIntent("and yesterday?", { session, now });
+  assert.equal(followUp.followUp, true);
+  assert.deepEqual(followUp.connectors, ["aws_monitor"]);
+  assert.equal(followUp.timeRange.granularity, "day");
+  assert.deepEqual(followUp.carriedOver, ["connectors", "entities.repo"]);
+
+  assert.equal((await analyzeIntent("those failing too?", { session, now })).followUp, true);
+});
+
+test("short queries and pronouns later in the query are not follow-ups", async () => {
+  replies = {};
+  for (const query of ["is it raining", "yesterday?", "show my meetings"]) {
+    const intent = await analyzeIntent(query, { session, now });
+    assert.equal(intent.followUp, false, query);
+    assert.ok(!intent.connectors.includes("aws_monitor"), query);
+  }
+});
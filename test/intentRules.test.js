@@ -0,0 +1,46 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { loadConnectors } from "../connectorRegistry.js";
+import { compileIntentRules, scoreRules, termRegex } from "../intentRules.js";
+
+before(() => loadConnectors());
+
+test("terms match whole words and simple plurals", () => {
+  assert.ok(termRegex("issue").test("open issues"));
+  assert.ok(!termRegex("issue").test("a tissue"));
+  assert.ok(termRegex("pull request").test("my pull   requests"));
+});
+
+test("scores keywords, synonyms and weights, and negative keywords veto a connector", () => {
+  const rules = compileIntentRules({
+    version: 2,
+    connectors: {
+      google_calendar: { keywords: ["meeting"], negative: ["heart rate"], synonyms: { meeting: ["standup"] } },
+      aws_monitor: { keywords: [{ term: "status", weight: 0.5 }], minScore: 1 },
+    },
+  });
+  assert.deepEqual(scoreRules("when is the standup", rules).google_calendar, { score: 1, hits: ["standup"] });
+  assert.equal(scoreRules("meeting about heart rate", rules).google_calendar, undefined);
+  assert.equal(scoreRules("status please", rules).aws_monitor, undefined);
+});
+
+test("legacy { connector: [keywords] } files still load", () => {
+  const rules = compileIntentRules({ github_repo: ["repo"] });
+  assert.equal(rules.version, 1);
+  assert.ok(scoreRules("which repo", rules).github_repo);
+});
+
+test("invalid rules throw one error listing every problem", () => {
+  assert.throws(
+    () =>
+      compileIntentRules({
+        version: 2,
+        connectors: { github_repo: { keywords: [{ regex: "(" }], minScore: 0, colour: "red" } },
+      }),
+    (err) =>
+      /keywords\[0\]\.regex is not a valid regular expression/.test(err.message) &&
+      /minScore must be a positive number/.test(err.message) &&
+      /colour is not a known field/.test(err.message)
+  );
+  assert.throws(() => compileIntentRules({ version: 3, connectors: {} }), /version 3 is not supported/);
+});
@@ -0,0 +1,52 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { loadConnectors, registerConnector } from "../connectorRegistry.js";
+import { handleMcpMessage } from "../mcpServer.js";
+
+const rpc = (method, params = {}, options) => handleMcpMessage({ jsonrpc: "2.0", id: 1, method, params }, options);
+let slowChecks = 0;
+
+before(async () => {
+  await loadConnectors();
+  registerConnector({
+    name: "slow_source",
+    description: "Health check that never answers",
+    keywords: [],
+    timeoutMs: 50,
+    async fetch() {
+      return { summary: "" };
+    },
+    healthCheck() {
+      slowChecks++;
+      return new Promise(() => {});
+    },
+  });
+});
+
+test("lists a tool per connector plus route_query", async () => {
+  const { result } = await rpc("tools/list");
+  const names = result.tools.map((t) => t.name);
+  assert.ok(names.includes("github_repo"));
+  assert.ok(names.includes("route_query"));
+});
+
+test("reading a resource checks only that connector's health", async () => {
+  const { result } = await rpc("resources/read", { uri: "connector://fitbit_health" });
+  const body = JSON.parse(result.contents[0].text);
+  assert.equal(body.health.ok, true);
+  assert.equal(slowChecks, 0);
+});
+
+test("a resource's health check stops at the connector deadline", async () => {
+  const { result } = await rpc("resources/read", { uri: "connector://slow_source" });
+  const body = JSON.parse(result.contents[0].text);
+  assert.deepEqual([body.health.ok, body.health.detail], [false, "Timed out after 50 ms"]);
+});
+
+test("keys only see the connectors in their scopes", async () => {
+  const auth = { keyId: "k", userId: "alice", scopes: ["github_repo"], limits: {} };
+  const { error } = await rpc("resources/read", { uri: "connector://aws_monitor" }, { auth });
+  assert.match(error.message, /Unknown resource/);
+  const { result } = await rpc("tools/list", {}, { auth });
+  assert.ok(!result.tools.some((t) => t.name === "aws_monitor"));
+});
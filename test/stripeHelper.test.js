@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatMoney, detectFinanceIntent, handleStripeQuery, formatStripeSummary } from "../stripeHelper.js";
+
+const now = new Date("2026-10-19T12:00:00Z");
+const created = Math.floor(now.getTime() / 1000) - 3600;
+
+// Stripe client stand-in: every list has `pages` pages of one charge each
+function fakeClient(pages) {
+  return {
+    mode: "api",
+    async get(route, params) {
+      if (route === "/balance") return { available: [{ amount: 1000, currency: "usd" }], pending: [] };
+      if (route === "/invoices") return { data: [], has_more: false };
+      const page = params.starting_after ? Number(params.starting_after.slice(3)) + 1 : 0;
+      const charge = { id: `ch_${page}`, amount: 500, amount_refunded: 0, currency: "jpy", status: "succeeded", created };
+      return { data: [charge], has_more: page + 1 < pages };
+    },
+  };
+}
+
+test("formats zero-decimal currencies as whole amounts", () => {
+  assert.equal(formatMoney(123450, "usd"), "$1,234.50");
+  assert.equal(formatMoney(5000, "jpy"), "¥5,000");
+});
+
+test("asks for the sections the query names, or everything", () => {
+  assert.deepEqual(detectFinanceIntent("overdue invoices").sections, ["invoices"]);
+  assert.equal(detectFinanceIntent("how are finances?").sections.length, 4);
+  assert.equal(detectFinanceIntent("revenue by week").granularity, "week");
+});
+
+test("flags lists cut off at STRIPE_MAX_PAGES and says the totals are incomplete", async () => {
+  const complete = await handleStripeQuery("charges", { timeRange: null, client: fakeClient(3), now });
+  assert.deepEqual(complete.truncated, []);
+  assert.equal(complete.charges.succeeded, 3);
+
+  const cut = await handleStripeQuery("charges", { timeRange: null, client: fakeClient(50), now });
+  assert.deepEqual(cut.truncated, ["charges"]);
+  assert.equal(cut.charges.succeeded, 10);
+  assert.match(formatStripeSummary(cut), /Incomplete/);
+});
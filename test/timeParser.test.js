@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseTimeExpression, clampToPast } from "../timeParser.js";
+
+// Monday 2026-10-19, 12:00 UTC
+const now = new Date("2026-10-19T12:00:00Z");
+const parse = (text, timeZone = "UTC") => parseTimeExpression(text, { now, timeZone });
+const iso = (range) => range && [range.start.toISOString(), range.end.toISOString(), range.granularity];
+
+test("relative days and parts of day", () => {
+  assert.deepEqual(iso(parse("meetings today")), ["2026-10-19T00:00:00.000Z", "2026-10-20T00:00:00.000Z", "day"]);
+  assert.deepEqual(iso(parse("tomorrow afternoon")), ["2026-10-20T12:00:00.000Z", "2026-10-20T17:00:00.000Z", "part_of_day"]);
+  assert.deepEqual(iso(parse("past 3 hours")), ["2026-10-19T09:00:00.000Z", "2026-10-19T12:00:00.000Z", "hour"]);
+});
+
+test("calendar weeks start on Monday", () => {
+  assert.deepEqual(iso(parse("last week")), ["2026-10-12T00:00:00.000Z", "2026-10-19T00:00:00.000Z", "week"]);
+});
+
+test("days are computed in the given timezone", () => {
+  assert.deepEqual(iso(parse("today", "Asia/Tokyo")), ["2026-10-18T15:00:00.000Z", "2026-10-19T15:00:00.000Z", "day"]);
+});
+
+test("clock ranges need a time or a day", () => {
+  assert.deepEqual(iso(parse("between 2pm and 4pm friday")), ["2026-10-23T14:00:00.000Z", "2026-10-23T16:00:00.000Z", "hour"]);
+  assert.equal(parse("show PRs from 1 to 5 in the backend repo"), null);
+});
+
+test("month names and numeric dates need to be unambiguous", () => {
+  assert.equal(parse("maybe 5 PRs need review"), null);
+  assert.equal(parse("is issue 1/2 done?"), null);
+  assert.equal(parse("due 11/12").granularity, "day");
+  assert.equal(parse("Nov 12").start.toISOString(), "2026-11-12T00:00:00.000Z");
+});
+
+test("weekday abbreviations need a cue", () => {
+  assert.equal(parse("what PRs did I review while I sat in the standup"), null);
+  assert.equal(parse("meetings on sat").start.toISOString(), "2026-10-24T00:00:00.000Z");
+  assert.equal(parse("next wed").start.toISOString(), "2026-10-21T00:00:00.000Z");
+  assert.equal(parse("since mon").expression, "since mon");
+});
+
+test("dates that do not exist give no range instead of rolling over", () => {
+  assert.equal(parse("events on 13/45"), null);
+  assert.equal(parse("Nov 31"), null);
+  assert.equal(parse("2026-02-30"), null);
+  assert.equal(parse("2026-02-30/2026-03-02"), null);
+  assert.equal(parse("from 2pm to 4pm on 13/45"), null);
+  assert.equal(parse("on 2/29/2028").start.toISOString(), "2028-02-29T00:00:00.000Z");
+});
+
+test("clampToPast cuts ranges at now and drops future ones", () => {
+  assert.equal(clampToPast(parse("today"), now).end.toISOString(), now.toISOString());
+  assert.equal(clampToPast(parse("tomorrow"), now), null);
+});
@@ -0,0 +1,36 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// Counters persist to USAGE_PATH, read when the module loads
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "usage-"));
+process.env.USAGE_PATH = path.join(dir, "usage.json");
+const { consumeRequest, assertLlmBudget, recordLlmTokens } = await import("../usageLimits.js");
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const auth = (keyId, limits) => ({ keyId, userId: "alice", scopes: ["*"], limits });
+
+test("refuses requests past the per-minute rate limit", () => {
+  const key = auth("rate", { ratePerMinute: 2 });
+  assert.ok(consumeRequest(key).ok);
+  assert.ok(consumeRequest(key).ok);
+  const refused = consumeRequest(key);
+  assert.equal(refused.ok, false);
+  assert.match(refused.error, /2 requests per minute/);
+  assert.ok(refused.retryAfterSeconds >= 1);
+});
+
+test("refuses LLM calls once the daily token quota is spent", () => {
+  const key = auth("tokens", { dailyLlmTokens: 100 });
+  assertLlmBudget(key);
+  recordLlmTokens(key, { total_tokens: 100 });
+  assert.throws(() => assertLlmBudget(key), (err) => err.code === "LLM_QUOTA" && err.status === 429 && err.retryAfterSeconds > 0);
+});
+
+test("callers without a key or a token quota are never refused", () => {
+  assertLlmBudget(null);
+  assertLlmBudget(auth("unlimited", {}));
+});
@@ -0,0 +1,307 @@
+// timeParser.js
+// Natural-language time expressions → { start, end, granularity, expression, timeZone }.
+import { defaultTimeZone, getZonedParts, zonedTimeToDate, startOfZonedDay } from "./timeUtils.js";
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+export const DAY_PARTS = {
+  morning: [6, 12],
+  afternoon: [12, 17],
+  evening: [17, 21],
+  tonight: [18, 24],
+  night: [18, 24],
+};
+
+const UNIT_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+
+const WEEKDAY_RE = "(sunday|monday|tuesday|wednesday|thursday|friday|saturday)";
+// Abbreviations only count after a cue ("next wed", "since mon"), so "while I sat in the standup" is not Saturday
+const WEEKDAY_ABBR_RE = "(sun|mon|tues?|wed|thu(?:rs?)?|fri|sat)\\b\\.?";
+const WEEKDAY_CUE = "(last|next|this|on|by|due|before|after|until|till|since|from)";
+// Full names or exact abbreviations only, so "maybe", "decision" and "octopus" are not months
+const MONTH_RE =
+  "(january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept?|oct|nov|dec)\\b\\.?";
+const DATE_RE = "\\d{4}-\\d{2}-\\d{2}";
+const ISO_RE = `${DATE_RE}(?:[t ]\\d{2}:\\d{2}(?::\\d{2}(?:\\.\\d+)?)?(?:z|[+-]\\d{2}:?\\d{2})?)?`;
+const CLOCK_RE = "(noon|midnight|\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)?)";
+// A bare "11/12" is only a date after one of these ("due 11/12"), so "issue 1/2 done" is not
+const NUMERIC_DATE_CUE = "(?<=\\b(?:on|by|due|before|after|until|till|since|from|to|for)\\s+)";
+
+function range(start, end, granularity, expression, timeZone) {
+  return { start, end, granularity, expression, timeZone };
+}
+
+function weekdayIndex(word) {
+  return WEEKDAYS.findIndex((d) => d.startsWith(word.slice(0, 3)));
+}
+
+/**
+ * True when month and day name a real calendar day, so "13/45" or "Nov 31" never roll over into another month.
+ */
+function isValidDate({ year, month, day }) {
+  return month >= 1 && month <= 12 && day >= 1 && day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Local calendar date (year/month/day) `offset` days from today.
+ */
+function localDate(ctx, offset = 0) {
+  const p = getZonedParts(startOfZonedDay(ctx.now, ctx.timeZone, offset), ctx.timeZone);
+  return { year: p.year, month: p.month, day: p.day };
+}
+
+function dayStart(date, ctx) {
+  return zonedTimeToDate(date, ctx.timeZone);
+}
+
+function dayEnd(date, ctx) {
+  return zonedTimeToDate({ ...date, day: date.day + 1 }, ctx.timeZone);
+}
+
+function parseClock(text) {
+  const t = text.trim();
+  if (t === "noon") return { hour: 12, minute: 0, cued: true };
+  if (t === "midnight") return { hour: 0, minute: 0, cued: true };
+  const m = /^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/.exec(t);
+  if (!m) return null;
+  let hour = Number(m[1]);
+  if (m[3] === "pm" && hour < 12) hour += 12;
+  if (m[3] === "am" && hour === 12) hour = 0;
+  return { hour, minute: Number(m[2] || 0), meridiem: m[3] || null, cued: Boolean(m[2] || m[3]) };
+}
+
+/**
+ * Find a single-day reference in the text. Returns { date, matched } or null; `date` is null when the text
+ * names a day that does not exist, and callers then report no time range.
+ */
+function parseDay(text, ctx) {
+  const day = findDay(text, ctx);
+  return day && !isValidDate(day.date) ? { ...day, date: null } : day;
+}
+
+function findDay(text, ctx) {
+  let m;
+
+  if ((m = /\b(today|tonight|this (?:morning|afternoon|evening))\b/.exec(text))) {
+    return { date: localDate(ctx), matched: m[0] };
+  }
+  if ((m = /\btomorrow\b/.exec(text))) return { date: localDate(ctx, 1), matched: m[0] };
+  if ((m = /\byesterday\b/.exec(text))) return { date: localDate(ctx, -1), matched: m[0] };
+
+  if ((m = new RegExp(`\\b(${DATE_RE})\\b`).exec(text))) {
+    const [year, month, day] = m[1].split("-").map(Number);
+    return { date: { year, month, day }, matched: m[0] };
+  }
+
+  // Nov 12, November 12th 2025
+  if ((m = new RegExp(`\\b${MONTH_RE}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?\\b`).exec(text))) {
+    return { date: withYear(MONTHS.indexOf(m[1].slice(0, 3)) + 1, Number(m[2]), m[3], ctx), matched: m[0] };
+  }
+  // 12 Nov, 12th November 2025
+  if ((m = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_RE}(?:,?\\s+(\\d{4}))?\\b`).exec(text))) {
+    return { date: withYear(MONTHS.indexOf(m[2].slice(0, 3)) + 1, Number(m[1]), m[3], ctx), matched: m[0] };
+  }
+  // 11/12/2025, or "on 11/12" (month first)
+  if ((m = /\b(\d{1,2})\/(\d{1,2})\/(\d{4})\b/.exec(text))) {
+    return { date: withYear(Number(m[1]), Number(m[2]), m[3], ctx), matched: m[0] };
+  }
+  if ((m = new RegExp(`${NUMERIC_DATE_CUE}(\\d{1,2})\\/(\\d{1,2})\\b`).exec(text))) {
+    return { date: withYear(Number(m[1]), Number(m[2]), undefined, ctx), matched: m[0] };
+  }
+
+  if (
+    (m = new RegExp(`\\b(?:${WEEKDAY_CUE}\\s+)?${WEEKDAY_RE}\\b`).exec(text)) ||
+    (m = new RegExp(`\\b${WEEKDAY_CUE}\\s+${WEEKDAY_ABBR_RE}`).exec(text))
+  ) {
+    const target = weekdayIndex(m[2]);
+    const today = getZonedParts(ctx.now, ctx.timeZone).weekday;
+    let offset;
+    if (m[1] === "last") offset = -(((today - target + 6) % 7) + 1);
+    else if (m[1] === "next") offset = ((target - today + 6) % 7) + 1;
+    else offset = (target - today + 7) % 7;
+    return { date: localDate(ctx, offset), matched: m[0], weekday: target, qualifier: m[1] || null };
+  }
+
+  return null;
+}
+
+/**
+ * Like parseDay, but a bare weekday means the most recent one (today included), as in "since Monday".
+ */
+function parsePastDay(text, ctx) {
+  const day = parseDay(text, ctx);
+  if (!day || !day.date || day.weekday === undefined || day.qualifier === "last") return day;
+
+  const today = getZonedParts(ctx.now, ctx.timeZone).weekday;
+  return { ...day, date: localDate(ctx, -((today - day.weekday + 7) % 7)) };
+}
+
+function withYear(month, day, year, ctx) {
+  if (year) return { year: Number(year), month, day };
+  return { year: getZonedParts(ctx.now, ctx.timeZone).year, month, day };
+}
+
+/**
+ * Null when the date part is not a real day.
+ */
+function parseIsoInstant(text, ctx) {
+  const t = text.trim().toUpperCase().replace(" ", "T");
+  const [d, time] = t.split("T");
+  const [year, month, day] = d.split("-").map(Number);
+  if (!isValidDate({ year, month, day })) return null;
+  if (!time) return { date: { year, month, day }, dateOnly: true };
+  if (/(Z|[+-]\d{2}:?\d{2})$/.test(t)) return { instant: new Date(t) };
+  const [hour, minute] = time.split(":").map(Number);
+  return { instant: zonedTimeToDate({ year, month, day, hour, minute }, ctx.timeZone) };
+}
+
+const parsers = [
+  // ISO ranges: 2025-11-01/2025-11-05, 2025-11-01T10:00Z to 2025-11-01T12:00Z
+  function isoRange(text, ctx) {
+    const m = new RegExp(`(${ISO_RE})\\s*(?:/|\\.\\.|\\bto\\b|\\buntil\\b|\\band\\b|–|--)\\s*(${ISO_RE})`).exec(text);
+    if (!m) return null;
+    const a = parseIsoInstant(m[1], ctx);
+    const b = parseIsoInstant(m[2], ctx);
+    if (!a || !b) return null;
+    const start = a.instant || dayStart(a.date, ctx);
+    const end = b.instant || dayEnd(b.date, ctx);
+    return range(start, end, a.dateOnly && b.dateOnly ? "day" : "minute", m[0], ctx.timeZone);
+  },
+
+  // last 3 days, past hour, past 15 minutes
+  function relativeDuration(text, ctx) {
+    const m = /\b(?:last|past|previous)\s+(?:(\d+|a|an|one|few|couple(?: of)?)\s+)?(minute|min|hour|hr|day|week|month)s?\b/.exec(text);
+    if (!m) return null;
+    const words = { a: 1, an: 1, one: 1, few: 3, couple: 2, "couple of": 2 };
+    const n = m[1] === undefined ? 1 : words[m[1]] || Number(m[1]);
+    const unit = { min: "minute", hr: "hour" }[m[2]] || m[2];
+
+    // "last week" / "last month" without a number mean the previous calendar period
+    if (m[1] === undefined && (unit === "week" || unit === "month") && /\blast\b/.test(m[0])) return null;
+
+    const end = new Date(ctx.now);
+    let start;
+    if (unit === "month") {
+      const p = getZonedParts(ctx.now, ctx.timeZone);
+      start = zonedTimeToDate({ ...p, month: p.month - n }, ctx.timeZone);
+    } else {
+      start = new Date(end.getTime() - n * UNIT_MS[unit]);
+    }
+    return range(start, end, unit, m[0], ctx.timeZone);
+  },
+
+  // since Monday, since yesterday, since 2025-11-01
+  function since(text, ctx) {
+    const m = /\bsince\s+(.+?)(?=[?.!,]|$)/.exec(text);
+    if (!m) return null;
+    const day = parsePastDay(m[0], ctx);
+    if (!day || !day.date) return null;
+    const expression = day.qualifier === "since" ? day.matched : `since ${day.matched}`;
+    return range(dayStart(day.date, ctx), new Date(ctx.now), "day", expression, ctx.timeZone);
+  },
+
+  // between 2pm and 4pm Friday, from 9:30 to 11 tomorrow
+  function clockRange(text, ctx) {
+    const m = new RegExp(`\\b(?:between|from)\\s+${CLOCK_RE}\\s*(?:and|to|until|-|–)\\s*${CLOCK_RE}`).exec(text);
+    if (!m) return null;
+    const from = parseClock(m[1]);
+    const to = parseClock(m[2]);
+    if (!from || !to) return null;
+
+    const rest = text.slice(0, m.index) + " " + text.slice(m.index + m[0].length);
+    const day = parseDay(rest, ctx);
+    if (day && !day.date) return null;
+    // Bare numbers need a time (2pm, 9:30, noon) or a day to be hours: "PRs from 1 to 5" is not a range
+    if (!from.cued && !to.cued && !day) return null;
+    // "2 to 4pm" — carry the meridiem over to the first time
+    if (!from.meridiem && to.meridiem === "pm" && from.hour < 12 && from.hour + 12 <= to.hour) from.hour += 12;
+    // "9 to 5" — an earlier bare end time is in the afternoon
+    if (!from.meridiem && !to.meridiem && to.hour < from.hour && to.hour < 12) to.hour += 12;
+    const date = day ? day.date : localDate(ctx);
+    const start = zonedTimeToDate({ ...date, ...from }, ctx.timeZone);
+    let end = zonedTimeToDate({ ...date, ...to }, ctx.timeZone);
+    if (end <= start) end = zonedTimeToDate({ ...date, day: date.day + 1, ...to }, ctx.timeZone);
+
+    const expression = day ? `${m[0].trim()} ${day.matched}` : m[0].trim();
+    return range(start, end, to.minute || from.minute ? "minute" : "hour", expression, ctx.timeZone);
+  },
+
+  // this/next/last week or month
+  function calendarPeriod(text, ctx) {
+    const m = /\b(this|next|last|previous|current)\s+(week|month)\b/.exec(text);
+    if (!m) return null;
+    const shift = { next: 1, last: -1, previous: -1 }[m[1]] || 0;
+    const p = getZonedParts(ctx.now, ctx.timeZone);
+
+    if (m[2] === "week") {
+      // Weeks start on Monday
+      const monday = -((p.weekday + 6) % 7) + shift * 7;
+      return range(
+        startOfZonedDay(ctx.now, ctx.timeZone, monday),
+        startOfZonedDay(ctx.now, ctx.timeZone, monday + 7),
+        "week",
+        m[0],
+        ctx.timeZone
+      );
+    }
+    return range(
+      zonedTimeToDate({ year: p.year, month: p.month + shift, day: 1 }, ctx.timeZone),
+      zonedTimeToDate({ year: p.year, month: p.month + shift + 1, day: 1 }, ctx.timeZone),
+      "month",
+      m[0],
+      ctx.timeZone
+    );
+  },
+
+  // today, tomorrow afternoon, Friday, Nov 12, this evening
+  function singleDay(text, ctx) {
+    const day = parseDay(text, ctx);
+    const partMatch = /\b(morning|afternoon|evening|tonight|night)\b/.exec(text);
+    if ((!day && !partMatch) || (day && !day.date)) return null;
+
+    const date = day ? day.date : localDate(ctx);
+    if (!partMatch) {
+      return range(dayStart(date, ctx), dayEnd(date, ctx), "day", day.matched, ctx.timeZone);
+    }
+
+    const [from, to] = DAY_PARTS[partMatch[1]];
+    const expression = day && day.matched.includes(partMatch[1]) ? day.matched : [day && day.matched, partMatch[1]].filter(Boolean).join(" ");
+    return range(
+      zonedTimeToDate({ ...date, hour: from }, ctx.timeZone),
+      zonedTimeToDate({ ...date, hour: to }, ctx.timeZone),
+      "part_of_day",
+      expression,
+      ctx.timeZone
+    );
+  },
+];
+
+/**
+ * Parse the first time expression in `text`. Returns null when the text has none.
+ */
+export function parseTimeExpression(text, { now = new Date(), timeZone = defaultTimeZone() } = {}) {
+  if (!text) return null;
+  const lower = text.toLowerCase();
+  const ctx = { now, timeZone };
+
+  for (const parse of parsers) {
+    const result = parse(lower, ctx);
+    if (result) return result;
+  }
+  return null;
+}
+
+/**
+ * Clamp a range to the past, for sources that only hold historical data (metrics, commits).
+ * Returns null for ranges entirely in the future.
+ */
+export function clampToPast(timeRange, now = new Date()) {
+  if (!timeRange || timeRange.start >= now) return null;
+  return { ...timeRange, end: timeRange.end > now ? new Date(now) : timeRange.end };
+}
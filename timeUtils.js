@@ -0,0 +1,78 @@
+// timeUtils.js
+// Timezone-aware date helpers built on Intl (no external date library).
+
+export function defaultTimeZone() {
+  return process.env.TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+/**
+ * Wall-clock parts of `date` as seen in `timeZone`.
+ */
+export function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    weekday: "short",
+  }).formatToParts(date);
+
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return {
+    year: Number(get("year")),
+    month: Number(get("month")),
+    day: Number(get("day")),
+    hour: Number(get("hour")),
+    minute: Number(get("minute")),
+    second: Number(get("second")),
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(get("weekday")),
+  };
+}
+
+function offsetAt(instant, timeZone) {
+  const p = getZonedParts(new Date(instant), timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * The instant at which the wall clock in `timeZone` shows the given local time.
+ * Out-of-range values roll over (day 32 → next month, hour 24 → next day).
+ */
+export function zonedTimeToDate({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  let instant = guess - offsetAt(guess, timeZone);
+  const corrected = offsetAt(instant, timeZone);
+  if (guess - corrected !== instant) instant = guess - corrected;
+  return new Date(instant);
+}
+
+/**
+ * Local midnight `days` days after the day containing `date`.
+ */
+export function startOfZonedDay(date, timeZone, days = 0) {
+  const p = getZonedParts(date, timeZone);
+  return zonedTimeToDate({ year: p.year, month: p.month, day: p.day + days }, timeZone);
+}
+
+/**
+ * "14:30" style label for an instant in the given timezone.
+ */
+export function formatZonedTime(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${String(p.hour).padStart(2, "0")}:${String(p.minute).padStart(2, "0")}`;
+}
+
+/**
+ * "Tue 2025-11-11" style label for an instant in the given timezone.
+ */
+export function formatZonedDay(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const weekday = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"][p.weekday];
+  return `${weekday} ${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+}
+
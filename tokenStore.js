@@ -0,0 +1,113 @@
+// tokenStore.js
+// Per-user OAuth credentials, encrypted at rest (AES-256-GCM) in a single JSON file.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const STORE_PATH = process.env.TOKEN_STORE_PATH || "./data/tokens.enc.json";
+const STATE_TTL_MS = 10 * 60 * 1000;
+export const DEFAULT_USER = "default";
+
+let cache = null; // { salt, entries: { [userId]: { [provider]: tokens } } }
+const pendingStates = new Map();
+
+function deriveKey(salt) {
+  const secret = process.env.TOKEN_ENCRYPTION_KEY;
+  if (!secret) throw new Error("TOKEN_ENCRYPTION_KEY is not set; it is required to encrypt stored tokens");
+  return crypto.scryptSync(secret, salt, 32);
+}
+
+function load() {
+  if (cache) return cache;
+
+  if (!fs.existsSync(STORE_PATH)) {
+    cache = { salt: crypto.randomBytes(16).toString("base64"), entries: {} };
+    return cache;
+  }
+
+  const file = JSON.parse(fs.readFileSync(STORE_PATH, "utf8"));
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    deriveKey(Buffer.from(file.salt, "base64")),
+    Buffer.from(file.iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(file.tag, "base64"));
+  const plain = Buffer.concat([decipher.update(Buffer.from(file.data, "base64")), decipher.final()]);
+
+  cache = { salt: file.salt, entries: JSON.parse(plain.toString("utf8")) };
+  return cache;
+}
+
+function persist() {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(Buffer.from(cache.salt, "base64")), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(cache.entries), "utf8"), cipher.final()]);
+  const file = {
+    version: 1,
+    salt: cache.salt,
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+
+  // Write then rename so a crash never leaves a half-written store
+  fs.mkdirSync(path.dirname(STORE_PATH), { recursive: true });
+  const tmp = `${STORE_PATH}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(file), { mode: 0o600 });
+  fs.renameSync(tmp, STORE_PATH);
+}
+
+export function getToken(userId, provider) {
+  const entries = load().entries;
+  return (entries[userId] && entries[userId][provider]) || null;
+}
+
+export function saveToken(userId, provider, tokens) {
+  const entries = load().entries;
+  entries[userId] = { ...entries[userId], [provider]: { ...tokens, updatedAt: new Date().toISOString() } };
+  persist();
+}
+
+/**
+ * Merge newly issued fields (e.g. a refreshed access_token) into the stored tokens.
+ * Google omits the refresh_token on refresh, so the stored one must be kept.
+ */
+export function updateToken(userId, provider, tokens) {
+  saveToken(userId, provider, { ...getToken(userId, provider), ...tokens });
+}
+
+export function deleteToken(userId, provider) {
+  const entries = load().entries;
+  if (!entries[userId] || !entries[userId][provider]) return false;
+  delete entries[userId][provider];
+  if (!Object.keys(entries[userId]).length) delete entries[userId];
+  persist();
+  return true;
+}
+
+export function listConnectedProviders(userId) {
+  const entries = load().entries;
+  return Object.keys(entries[userId] || {});
+}
+
+/**
+ * Create an OAuth `state` value that links the provider callback back to the initiating user.
+ */
+export function createOAuthState(userId, provider) {
+  for (const [key, entry] of pendingStates) {
+    if (entry.expiresAt < Date.now()) pendingStates.delete(key);
+  }
+  const state = crypto.randomBytes(24).toString("base64url");
+  pendingStates.set(state, { userId, provider, expiresAt: Date.now() + STATE_TTL_MS });
+  return state;
+}
+
+/**
+ * Resolve and invalidate a state value. Returns the user id, or null when unknown or expired.
+ */
+export function consumeOAuthState(state, provider) {
+  const entry = pendingStates.get(state);
+  pendingStates.delete(state);
+  if (!entry || entry.provider !== provider || entry.expiresAt < Date.now()) return null;
+  return entry.userId;
+}
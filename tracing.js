@@ -0,0 +1,75 @@
+// tracing.js
+// Request IDs, per-stage timing spans and the request log line / HTTP metrics.
+import { randomUUID } from "crypto";
+import { createLogger, runWithRequestContext, getRequestContext } from "./logger.js";
+import { httpRequests, httpDuration, stageDuration } from "./metrics.js";
+
+const log = createLogger("http");
+const spanLog = createLogger("span");
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+
+const roundMs = (ms) => Math.round(ms * 10) / 10;
+
+/**
+ * Record a finished span on the current request ("connector:github_repo", "llm", ...). The part
+ * before ":" is the stage label of mcp_stage_duration_seconds.
+ */
+export function recordSpan(name, durationMs, fields = {}) {
+  stageDuration.observe({ stage: name.split(":")[0] }, durationMs / 1000);
+  const context = getRequestContext();
+  if (context) context.spans.push({ name, durationMs: roundMs(durationMs), ...fields });
+  spanLog.debug("Span finished", { span: name, durationMs: roundMs(durationMs), ...fields });
+}
+
+/**
+ * Time `fn` as a span; failures are recorded with status "error" and rethrown.
+ */
+export async function withSpan(name, fn, fields = {}) {
+  const started = performance.now();
+  let status = "ok";
+  try {
+    return await fn();
+  } catch (err) {
+    status = "error";
+    throw err;
+  } finally {
+    recordSpan(name, performance.now() - started, { status, ...fields });
+  }
+}
+
+/**
+ * Express middleware: take X-Request-Id from the caller (or generate one), echo it back, run the
+ * request inside its context, and on completion log one line with its spans and update HTTP metrics.
+ */
+export function traceRequests() {
+  return (req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+    const requestId = incoming && REQUEST_ID_RE.test(incoming) ? incoming : randomUUID();
+    const context = { requestId, spans: [] };
+    const started = performance.now();
+    res.set("X-Request-Id", requestId);
+
+    res.once("close", () => {
+      const durationMs = performance.now() - started;
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      httpDuration.observe({ method: req.method, route }, durationMs / 1000);
+
+      const level = res.statusCode >= 500 ? "error" : route === "/metrics" ? "debug" : "info";
+      runWithRequestContext(context, () =>
+        log[level]("Request completed", {
+          method: req.method,
+          path: req.originalUrl.split("?")[0],
+          route,
+          status: res.statusCode,
+          durationMs: roundMs(durationMs),
+          ...(req.auth ? { userId: req.auth.userId, keyId: req.auth.keyId } : {}),
+          ...(res.writableFinished ? {} : { aborted: true }),
+          spans: context.spans,
+        })
+      );
+    });
+
+    runWithRequestContext(context, next);
+  };
+}
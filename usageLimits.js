@@ -0,0 +1,149 @@
+// usageLimits.js
+// Per-key request rate limits (sliding minute window) and daily quotas for requests and LLM tokens.
+// Daily counters are kept in USAGE_PATH so a restart does not reset them.
+import fs from "fs";
+import path from "path";
+import { createLogger } from "./logger.js";
+
+const log = createLogger("usageLimits");
+
+const USAGE_PATH = process.env.USAGE_PATH || "./data/usage.json";
+const DEFAULT_RATE_PER_MINUTE = Number(process.env.RATE_LIMIT_PER_MINUTE) || 60;
+const WINDOW_MS = 60 * 1000;
+const PERSIST_DELAY_MS = 1000;
+
+const windows = new Map(); // keyId → request timestamps within the last minute
+let daily = null; // { [keyId]: { day, requests, llmTokens } }
+let persistTimer = null;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function secondsUntilTomorrow() {
+  const midnight = new Date();
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight.getTime() - Date.now()) / 1000);
+}
+
+function load() {
+  if (daily) return daily;
+  try {
+    daily = JSON.parse(fs.readFileSync(USAGE_PATH, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") log.warn("Could not read usage counters", { file: USAGE_PATH, err });
+    daily = {};
+  }
+  return daily;
+}
+
+// Batch writes: counters change on every request
+function schedulePersist() {
+  if (persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    try {
+      fs.mkdirSync(path.dirname(USAGE_PATH), { recursive: true });
+      const tmp = `${USAGE_PATH}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(daily));
+      fs.renameSync(tmp, USAGE_PATH);
+    } catch (err) {
+      log.warn("Could not save usage counters", { file: USAGE_PATH, err });
+    }
+  }, PERSIST_DELAY_MS);
+  persistTimer.unref();
+}
+
+function countersFor(keyId) {
+  const counters = load();
+  const day = today();
+  if (!counters[keyId] || counters[keyId].day !== day) counters[keyId] = { day, requests: 0, llmTokens: 0 };
+  return counters[keyId];
+}
+
+function recentRequests(keyId) {
+  const cutoff = Date.now() - WINDOW_MS;
+  const recent = (windows.get(keyId) || []).filter((t) => t > cutoff);
+  windows.set(keyId, recent);
+  return recent;
+}
+
+/**
+ * Count one request for the caller's key. Resolves { ok, limit, remaining } or, when the rate limit or
+ * daily request quota is used up, { ok: false, error, retryAfterSeconds }.
+ */
+export function consumeRequest(auth) {
+  const limit = auth.limits.ratePerMinute || DEFAULT_RATE_PER_MINUTE;
+  const recent = recentRequests(auth.keyId);
+  if (recent.length >= limit) {
+    return {
+      ok: false,
+      limit,
+      remaining: 0,
+      error: `Rate limit of ${limit} requests per minute exceeded`,
+      retryAfterSeconds: Math.max(1, Math.ceil((recent[0] + WINDOW_MS - Date.now()) / 1000)),
+    };
+  }
+
+  const counters = countersFor(auth.keyId);
+  if (auth.limits.dailyRequests && counters.requests >= auth.limits.dailyRequests) {
+    return {
+      ok: false,
+      limit,
+      remaining: limit - recent.length,
+      error: `Daily quota of ${auth.limits.dailyRequests} requests used up`,
+      retryAfterSeconds: secondsUntilTomorrow(),
+    };
+  }
+
+  recent.push(Date.now());
+  counters.requests++;
+  schedulePersist();
+  return { ok: true, limit, remaining: limit - recent.length };
+}
+
+/**
+ * Whether the caller's key still has LLM tokens left today. Resolves { ok } or { ok: false, error, retryAfterSeconds }.
+ */
+export function checkLlmBudget(auth) {
+  if (!auth || !auth.limits.dailyLlmTokens) return { ok: true };
+  const counters = countersFor(auth.keyId);
+  if (counters.llmTokens < auth.limits.dailyLlmTokens) return { ok: true };
+  return {
+    ok: false,
+    error: `Daily quota of ${auth.limits.dailyLlmTokens} LLM tokens used up`,
+    retryAfterSeconds: secondsUntilTomorrow(),
+  };
+}
+
+/**
+ * Throw when the caller's key has no LLM tokens left today. The error has code "LLM_QUOTA", status 429
+ * and `retryAfterSeconds`.
+ */
+export function assertLlmBudget(auth) {
+  const budget = checkLlmBudget(auth);
+  if (budget.ok) return;
+  throw Object.assign(new Error(budget.error), { code: "LLM_QUOTA", status: 429, retryAfterSeconds: budget.retryAfterSeconds });
+}
+
+/**
+ * Add the tokens of an LLM call (OpenAI `usage` object) to the caller's daily spend.
+ */
+export function recordLlmTokens(auth, usage) {
+  if (!auth || !usage) return;
+  countersFor(auth.keyId).llmTokens += usage.total_tokens || 0;
+  schedulePersist();
+}
+
+export function describeUsage(auth) {
+  const counters = countersFor(auth.keyId);
+  return {
+    day: counters.day,
+    rate_limit_per_minute: auth.limits.ratePerMinute || DEFAULT_RATE_PER_MINUTE,
+    requests_last_minute: recentRequests(auth.keyId).length,
+    requests_today: counters.requests,
+    daily_requests: auth.limits.dailyRequests || null,
+    llm_tokens_today: counters.llmTokens,
+    daily_llm_tokens: auth.limits.dailyLlmTokens || null,
+  };
+}